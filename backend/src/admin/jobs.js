@@ -0,0 +1,145 @@
+// Background ingestion jobs submitted through the admin API
+// Job state lives in Redis (or the in-memory fallback) so it can be inspected from any request
+import { v4 as uuid } from "uuid";
+import { putRecord, getRecord, addToIndex, getIndex } from "../cache/redis.js";
+import { expandSources } from "../ingest/sources.js";
+import { runIngestion } from "../ingest/pipeline.js";
+import { log } from "../obs/logger.js";
+
+// Keep finished jobs around for a week (JOB_TTL_SECONDS to override)
+const JOB_TTL_SECONDS = Number(process.env.JOB_TTL_SECONDS ?? 60 * 60 * 24 * 7);
+
+const JOB_KEY = (id) => `admin:job:${id}`;
+const JOBS_INDEX = "admin:jobs";
+
+// Jobs queued or running in this process: id -> { job, controller }
+const active = new Map();
+
+// Jobs run one at a time - they share the collection, keyword index and JSONL backup
+let queue = Promise.resolve();
+
+const now = () => new Date().toISOString();
+
+async function saveJob(job) {
+  job.updatedAt = now();
+  await putRecord(JOB_KEY(job.id), job, JOB_TTL_SECONDS);
+}
+
+/**
+ * Job summary for listings: everything except the per-URL items
+ */
+const summarize = ({ items, ...job }) => ({ ...job, urlCount: items.length });
+
+/**
+ * Expand the request into URLs and run them through the ingestion pipeline
+ * Progress is written back to the job record as each URL moves along
+ */
+async function runJob(job, signal) {
+  if (signal.aborted) return;
+
+  job.status = "running";
+  job.startedAt = now();
+  await saveJob(job);
+
+  try {
+    // Feeds/sitemaps are expanded now, so the job shows the articles they resolved to
+    const urls = await expandSources({ urls: job.request.urls, sources: job.request.feeds });
+    const items = new Map(job.items.map((i) => [i.url, i]));
+    job.items = urls.map((url) => items.get(url) || { url, status: "pending", chunks: null });
+    await saveJob(job);
+
+    const byUrl = new Map(job.items.map((i) => [i.url, i]));
+    job.summary = await runIngestion(urls, {
+      signal,
+      onProgress: (url, update) => {
+        Object.assign(byUrl.get(url), update, { updatedAt: now() });
+        saveJob(job).catch((e) => log.error("Could not save job", { jobId: job.id, error: e }));
+      },
+    });
+    job.status = job.summary.cancelled ? "cancelled" : "completed";
+  } catch (e) {
+    log.error("Ingestion job failed", { jobId: job.id, error: e });
+    job.status = signal.aborted ? "cancelled" : "failed";
+    job.error = e.message;
+  }
+
+  job.finishedAt = now();
+  await saveJob(job);
+}
+
+/**
+ * Create a job for { urls, feeds } and queue it to run in the background
+ * feeds use the same shape as entries in data/sources.json
+ */
+export async function submitJob({ urls = [], feeds = [], submittedBy = null }) {
+  const job = {
+    id: uuid(),
+    status: "queued",
+    createdAt: now(),
+    submittedBy,
+    request: { urls, feeds },
+    items: urls.map((url) => ({ url, status: "pending", chunks: null })),
+    summary: null,
+  };
+  await saveJob(job);
+  await addToIndex(JOBS_INDEX, job.id);
+
+  const controller = new AbortController();
+  active.set(job.id, { job, controller });
+  enqueue(() => runJob(job, controller.signal))
+    .catch((e) => log.error("Ingestion job crashed", { jobId: job.id, error: e }))
+    .finally(() => active.delete(job.id));
+
+  return job;
+}
+
+/**
+ * Run a task after every job queued before it, and hold later jobs until it's done
+ * Scheduled refreshes go through here too. Returns the task's promise.
+ */
+export function enqueue(task) {
+  const run = queue.then(task);
+  queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Most recent jobs, newest first, without per-URL details
+ */
+export async function listJobs(limit = 50) {
+  const ids = await getIndex(JOBS_INDEX, limit);
+  const jobs = await Promise.all(ids.map((id) => getRecord(JOB_KEY(id))));
+  return jobs.filter(Boolean).map(summarize);
+}
+
+/**
+ * Full job record including per-URL status, or null
+ */
+export function getJob(id) {
+  return getRecord(JOB_KEY(id));
+}
+
+/**
+ * Cancel a queued or running job
+ * A running job stops after the URL it is currently processing
+ * Returns the updated job, or null if it doesn't exist
+ */
+export async function cancelJob(id) {
+  // Only jobs owned by this process can be cancelled; others are just reported as they are
+  if (!active.has(id)) return getJob(id);
+
+  const { job, controller } = active.get(id);
+  if (controller.signal.aborted) return job;
+
+  controller.abort();
+  if (job.status === "queued") {
+    // Never started - mark it straight away, runJob will skip it
+    job.status = "cancelled";
+    job.finishedAt = now();
+    await saveJob(job);
+  } else {
+    job.cancelRequested = true;
+    await saveJob(job);
+  }
+  return job;
+}
@@ -0,0 +1,166 @@
+// Admin API: submit ingestion jobs and inspect/cancel them, trigger freshness runs
+// Mounted under /api/admin by server.js; every route needs an API key with the "admin" scope
+import { Router } from "express";
+import { guard } from "../auth/middleware.js";
+import { submitJob, listJobs, getJob, cancelJob } from "./jobs.js";
+import { coverage } from "../corpus/corpus.js";
+import { listFeedback, feedbackAnalytics, feedbackCsv, analyticsCsv } from "../feedback/feedback.js";
+import { startRefresh, listRefreshRuns, getRefreshRun } from "../refresh/freshness.js";
+import { log } from "../obs/logger.js";
+
+// Cap on URLs per job so one request can't queue days of embedding work
+const MAX_URLS_PER_JOB = Number(process.env.ADMIN_MAX_URLS ?? 500);
+
+// Only http(s) URLs make sense to scrape
+const isHttpUrl = (u) => {
+  try {
+    return ["http:", "https:"].includes(new URL(u).protocol);
+  } catch {
+    return false;
+  }
+};
+
+export const adminRouter = Router();
+adminRouter.use(guard("admin"));
+
+// Submit URLs and/or feeds for ingestion - returns the queued job right away
+adminRouter.post("/ingest", async (req, res) => {
+  const { urls = [], feeds = [] } = req.body || {};
+  if (!Array.isArray(urls) || !Array.isArray(feeds)) {
+    return res.status(400).json({ error: "urls and feeds must be arrays" });
+  }
+  if (!urls.length && !feeds.length) return res.status(400).json({ error: "urls or feeds required" });
+  if (urls.length > MAX_URLS_PER_JOB) {
+    return res.status(400).json({ error: `at most ${MAX_URLS_PER_JOB} urls per job` });
+  }
+
+  const bad = [...urls, ...feeds.map((f) => f?.url)].filter((u) => !isHttpUrl(u));
+  if (bad.length) return res.status(400).json({ error: "invalid url", invalid: bad });
+
+  try {
+    const job = await submitJob({ urls: [...new Set(urls.map((u) => u.trim()))], feeds, submittedBy: req.client.id });
+    res.status(202).json({ job });
+  } catch (e) {
+    log.error("Ingestion job submission failed", { error: e });
+    res.status(500).json({ error: e.message || "server_error" });
+  }
+});
+
+// List recent jobs (without per-URL details)
+adminRouter.get("/jobs", async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 50, 200);
+  try {
+    res.json({ jobs: await listJobs(limit) });
+  } catch (e) {
+    log.error("Listing ingestion jobs failed", { error: e });
+    res.status(500).json({ error: e.message || "server_error" });
+  }
+});
+
+// Inspect one job, including the status of every URL
+adminRouter.get("/jobs/:id", async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: "job not found" });
+    res.json({ job });
+  } catch (e) {
+    log.error("Reading ingestion job failed", { jobId: req.params.id, error: e });
+    res.status(500).json({ error: e.message || "server_error" });
+  }
+});
+
+// Cancel a queued or running job
+adminRouter.post("/jobs/:id/cancel", async (req, res) => {
+  try {
+    const job = await cancelJob(req.params.id);
+    if (!job) return res.status(404).json({ error: "job not found" });
+    res.json({ job });
+  } catch (e) {
+    log.error("Cancelling ingestion job failed", { jobId: req.params.id, error: e });
+    res.status(500).json({ error: e.message || "server_error" });
+  }
+});
+
+// Start a freshness run now: re-ingest sources and recent articles, expire old ones
+adminRouter.post("/refresh", async (_req, res) => {
+  try {
+    const started = await startRefresh({ trigger: "admin" });
+    if (!started) return res.status(409).json({ error: "a refresh is already running" });
+    started.done.catch((e) => log.error("Refresh crashed", { runId: started.run.id, error: e }));
+    res.status(202).json({ run: started.run });
+  } catch (e) {
+    log.error("Starting refresh failed", { error: e });
+    res.status(500).json({ error: e.message || "server_error" });
+  }
+});
+
+// Recent freshness runs with counts of what each added, updated and expired
+adminRouter.get("/refresh/runs", async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 50, 200);
+  try {
+    res.json({ runs: await listRefreshRuns(limit) });
+  } catch (e) {
+    log.error("Listing refresh runs failed", { error: e });
+    res.status(500).json({ error: e.message || "server_error" });
+  }
+});
+
+// One freshness run, with the URLs behind each count
+adminRouter.get("/refresh/runs/:id", async (req, res) => {
+  try {
+    const run = await getRefreshRun(req.params.id);
+    if (!run) return res.status(404).json({ error: "refresh run not found" });
+    res.json({ run });
+  } catch (e) {
+    log.error("Reading refresh run failed", { runId: req.params.id, error: e });
+    res.status(500).json({ error: e.message || "server_error" });
+  }
+});
+
+// Which URLs from data/urls.txt made it into the collection, and why the others didn't
+// (skipped as too short, failed to scrape/embed, or never attempted)
+adminRouter.get("/coverage", async (_req, res) => {
+  try {
+    res.json(await coverage());
+  } catch (e) {
+    log.error("Coverage report failed", { error: e });
+    res.status(500).json({ error: e.message || "server_error" });
+  }
+});
+
+// Answer feedback export: every vote with the query, model and context points behind the answer
+// ?format=json (default) | jsonl | csv, ?since=<date> to drop older votes
+adminRouter.get("/feedback", async (req, res) => {
+  const format = String(req.query.format || "json").toLowerCase();
+  if (!["json", "jsonl", "csv"].includes(format)) return res.status(400).json({ error: "format must be json, jsonl or csv" });
+  if (req.query.since && Number.isNaN(Date.parse(req.query.since))) return res.status(400).json({ error: "since must be a date" });
+
+  try {
+    const records = await listFeedback({ since: req.query.since });
+    if (format === "csv") return res.type("text/csv").attachment("feedback.csv").send(feedbackCsv(records));
+    if (format === "jsonl") {
+      return res.type("application/x-ndjson").attachment("feedback.jsonl").send(records.map((r) => JSON.stringify(r)).join("\n") + "\n");
+    }
+    res.json({ feedback: records });
+  } catch (e) {
+    log.error("Feedback export failed", { error: e });
+    res.status(500).json({ error: e.message || "server_error" });
+  }
+});
+
+// Downvote rates by source domain, article, similarity bucket and query, plus downvote reasons
+// ?format=json (default) | csv, ?since=<date>
+adminRouter.get("/feedback/analytics", async (req, res) => {
+  const format = String(req.query.format || "json").toLowerCase();
+  if (!["json", "csv"].includes(format)) return res.status(400).json({ error: "format must be json or csv" });
+  if (req.query.since && Number.isNaN(Date.parse(req.query.since))) return res.status(400).json({ error: "since must be a date" });
+
+  try {
+    const report = await feedbackAnalytics({ since: req.query.since });
+    if (format === "csv") return res.type("text/csv").attachment("feedback-analytics.csv").send(analyticsCsv(report));
+    res.json(report);
+  } catch (e) {
+    log.error("Feedback analytics failed", { error: e });
+    res.status(500).json({ error: e.message || "server_error" });
+  }
+});
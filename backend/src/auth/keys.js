@@ -0,0 +1,64 @@
+// API keys: who is calling, what they may do and how much of it
+import fs from "fs";
+import crypto from "crypto";
+
+// Default limits for keys that don't set their own (0 = unlimited)
+const DEFAULT_LIMITS = {
+  perMinute: Number(process.env.RATE_LIMIT_PER_MINUTE ?? 30),
+  requestsPerDay: Number(process.env.DAILY_REQUEST_QUOTA ?? 0),
+  tokensPerDay: Number(process.env.DAILY_TOKEN_QUOTA ?? 0),
+};
+
+const sha256 = (s) => crypto.createHash("sha256").update(String(s)).digest("hex");
+
+/**
+ * Load key definitions from API_KEYS_FILE (JSON file) or API_KEYS (inline JSON):
+ * [{ "id": "web", "key": "...", "scopes": ["chat"], "origins": ["https://news.example.com"],
+ *    "limits": { "perMinute": 20, "requestsPerDay": 2000, "tokensPerDay": 500000 } }]
+ * Use "keyHash" (sha256 hex of the key) instead of "key" to keep secrets out of config.
+ * ADMIN_API_KEY, if set, is added as an admin-scoped key.
+ */
+function loadKeys() {
+  let raw = [];
+  if (process.env.API_KEYS_FILE) {
+    raw = JSON.parse(fs.readFileSync(process.env.API_KEYS_FILE, "utf8"));
+  } else if (process.env.API_KEYS) {
+    raw = JSON.parse(process.env.API_KEYS);
+  }
+  if (process.env.ADMIN_API_KEY) raw.push({ id: "admin", key: process.env.ADMIN_API_KEY, scopes: ["admin", "chat"] });
+
+  return raw.map((k) => {
+    if (!k.id || !(k.key || k.keyHash)) throw new Error("Every API key needs an id and a key or keyHash");
+    if (k.keyHash && !/^[0-9a-f]{64}$/i.test(k.keyHash)) throw new Error(`keyHash for "${k.id}" must be a sha256 hex digest`);
+    return {
+      id: String(k.id),
+      hash: k.keyHash ? String(k.keyHash).toLowerCase() : sha256(k.key),
+      scopes: Array.isArray(k.scopes) && k.scopes.length ? k.scopes : ["chat"],
+      origins: Array.isArray(k.origins) ? k.origins : null,
+      limits: { ...DEFAULT_LIMITS, ...(k.limits || {}) },
+    };
+  });
+}
+
+const KEYS = loadKeys();
+
+/**
+ * Keys are only enforced once at least one is configured, so local development keeps working
+ */
+export const authEnabled = () => KEYS.length > 0;
+
+/**
+ * Find the key matching a presented secret (constant-time comparison of hashes)
+ */
+export function findKey(secret) {
+  if (!secret) return null;
+  const given = Buffer.from(sha256(secret), "hex");
+  return KEYS.find((k) => crypto.timingSafeEqual(Buffer.from(k.hash, "hex"), given)) || null;
+}
+
+/**
+ * Limits for unauthenticated callers (auth disabled) - tracked per IP address
+ */
+export function anonymousIdentity(ip) {
+  return { id: `ip:${ip}`, scopes: ["chat"], origins: null, limits: DEFAULT_LIMITS, anonymous: true };
+}
@@ -0,0 +1,102 @@
+// Express middleware: API-key authentication, scopes, per-key origins, rate limits and quotas
+import { authEnabled, findKey, anonymousIdentity } from "./keys.js";
+import { incrementCounter, getCounter } from "../cache/redis.js";
+
+const RATE_KEY = (id, minute) => `rl:${id}:${minute}`;
+const QUOTA_KEY = (id, day, kind) => `quota:${id}:${day}:${kind}`;
+
+// Seconds until the next UTC midnight, when daily quotas reset
+const secondsUntilTomorrow = () => {
+  const now = new Date();
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.max(1, Math.ceil((midnight - now.getTime()) / 1000));
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// API key from "Authorization: Bearer <key>" or "X-API-Key: <key>"
+const presentedKey = (req) =>
+  (req.get("authorization") || "").replace(/^Bearer\s+/i, "").trim() || (req.get("x-api-key") || "").trim();
+
+/**
+ * Identify the caller and check it may use `scope` ("chat" or "admin")
+ * Sets req.client = { id, scopes, limits, ... }; 401 for a missing/unknown key, 403 for a missing scope
+ * or a browser origin the key isn't allowed from
+ */
+export function authenticate(scope) {
+  return (req, res, next) => {
+    if (!authEnabled()) {
+      // No keys configured: open access (development), except for the admin API
+      if (scope === "admin") return res.status(503).json({ error: "admin API disabled (configure API keys or ADMIN_API_KEY)" });
+      req.client = anonymousIdentity(req.ip);
+      return next();
+    }
+
+    const secret = presentedKey(req);
+    if (!secret) return res.status(401).json({ error: "API key required" });
+    const key = findKey(secret);
+    if (!key) return res.status(401).json({ error: "invalid API key" });
+
+    if (!key.scopes.includes(scope)) return res.status(403).json({ error: `API key lacks the "${scope}" scope` });
+
+    const origin = req.get("origin");
+    if (origin && key.origins && !key.origins.includes(origin)) {
+      return res.status(403).json({ error: "origin not allowed for this API key" });
+    }
+
+    req.client = key;
+    next();
+  };
+}
+
+/**
+ * Enforce the caller's per-minute rate limit and daily request/token quotas
+ * Must run after authenticate(); rejections are 429 with Retry-After
+ */
+export async function rateLimit(req, res, next) {
+  const { id, limits } = req.client;
+  const day = today();
+
+  if (limits.perMinute > 0) {
+    const minute = Math.floor(Date.now() / 60000);
+    const used = await incrementCounter(RATE_KEY(id, minute), 1, 60);
+    res.set("X-RateLimit-Limit", String(limits.perMinute));
+    res.set("X-RateLimit-Remaining", String(Math.max(0, limits.perMinute - used)));
+    if (used > limits.perMinute) {
+      const retryAfter = 60 - Math.floor((Date.now() % 60000) / 1000);
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({ error: "rate limit exceeded", retryAfter });
+    }
+  }
+
+  if (limits.tokensPerDay > 0) {
+    const tokens = await getCounter(QUOTA_KEY(id, day, "tokens"));
+    if (tokens >= limits.tokensPerDay) return quotaExceeded(res, "daily token quota exceeded");
+  }
+
+  if (limits.requestsPerDay > 0) {
+    const requests = await incrementCounter(QUOTA_KEY(id, day, "requests"), 1, 60 * 60 * 24 + 60);
+    if (requests > limits.requestsPerDay) return quotaExceeded(res, "daily request quota exceeded");
+  }
+
+  next();
+}
+
+function quotaExceeded(res, error) {
+  const retryAfter = secondsUntilTomorrow();
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ error, retryAfter });
+}
+
+/**
+ * Count LLM tokens against the caller's daily token quota (called once a reply is done)
+ */
+export async function recordTokens(client, tokens) {
+  if (!client || !(tokens > 0)) return;
+  await incrementCounter(QUOTA_KEY(client.id, today(), "tokens"), Math.ceil(tokens), 60 * 60 * 24 + 60);
+}
+
+/**
+ * authenticate + rateLimit for a scope, ready to drop into a route or router
+ */
+export const guard = (scope) => [authenticate(scope), rateLimit];
@@ -1,5 +1,7 @@
 // Import Redis client for conversation storage
 import { createClient } from "redis";
+import { randomUUID } from "crypto";
+import { log } from "../obs/logger.js";
 
 // How long to keep conversation sessions (default: 24 hours)
 // You can set SESSION_TTL_SECONDS=7200 in .env for 2 hours
@@ -24,7 +26,7 @@ async function getClient() {
       url: process.env.REDIS_URL,                    // e.g. rediss://default:<PASS>@host:port
       password: process.env.REDIS_PASSWORD || undefined,
     });
-    client.on("error", (e) => console.error("Redis error:", e));
+    client.on("error", (e) => log.error("Redis error", { error: e }));
   }
   
   // Make sure we're connected
@@ -34,28 +36,105 @@ async function getClient() {
 
 // Helper to create Redis keys for sessions
 const KEY = (sid) => `chat:${sid}`;
+const META_KEY = (sid) => `chat:${sid}:meta`;
+const SUMMARY_KEY = (sid) => `chat:${sid}:summary`; // rolling summary of turns older than the prompt keeps
+const CLIENT_KEY = (cid) => `client:${cid}:sessions`; // sorted set: sid -> last active (ms)
+
+// Longest auto-generated session title
+const TITLE_MAX_CHARS = 60;
 
 // ---- In-memory fallback storage (when Redis isn't available) ----
 const mem = new Map();     // key -> [messages]
+const memMeta = new Map(); // key -> session metadata
+const memSummary = new Map(); // key -> { text, upTo }
 const timers = new Map();  // key -> TTL timer
+const clients = new Map(); // client ID -> Set of session IDs
 
 /**
  * Reset the TTL timer for in-memory storage
- * This ensures sessions don't stay in memory forever
+ * This ensures sessions don't stay in memory forever - unless they are pinned
  */
 function touchMem(k) {
   if (timers.has(k)) clearTimeout(timers.get(k));
-  timers.set(k, setTimeout(() => { 
+  timers.delete(k);
+  if (memMeta.get(k)?.pinned) return;
+  const timer = setTimeout(() => { 
     mem.delete(k); 
+    memMeta.delete(k);
+    memSummary.delete(k);
     timers.delete(k); 
-  }, TTL_SECONDS * 1000));
+  }, TTL_SECONDS * 1000);
+  // Expiry alone shouldn't keep a CLI run or a test process alive
+  timer.unref();
+  timers.set(k, timer);
+}
+
+/**
+ * Turn the first question into a short session title, cut at a word boundary
+ */
+function titleFrom(text) {
+  const clean = String(text || "").replace(/\s+/g, " ").trim();
+  if (clean.length <= TITLE_MAX_CHARS) return clean;
+  const cut = clean.slice(0, TITLE_MAX_CHARS);
+  return `${cut.slice(0, cut.lastIndexOf(" ") > 20 ? cut.lastIndexOf(" ") : TITLE_MAX_CHARS).trim()}…`;
+}
+
+/**
+ * Read a session's metadata (owner, title, timestamps, message count, pinned)
+ */
+export async function getSessionMeta(sessionId) {
+  const r = await getClient();
+  if (r) {
+    const s = await r.get(META_KEY(sessionId));
+    try {
+      return s ? JSON.parse(s) : null;
+    } catch {
+      return null;
+    }
+  }
+  const meta = memMeta.get(KEY(sessionId));
+  return meta ? { ...meta } : null;
+}
+
+/**
+ * Write a session's metadata and keep the owner's session index up to date
+ * TTLs follow the message list: refreshed on activity, removed while pinned
+ */
+async function saveSessionMeta(meta) {
+  const k = KEY(meta.sessionId);
+  const r = await getClient();
+  if (r) {
+    const mk = META_KEY(meta.sessionId);
+    const sk = SUMMARY_KEY(meta.sessionId);
+    await r.set(mk, JSON.stringify(meta));
+    if (meta.pinned) {
+      await r.persist(mk);
+      await r.persist(k);
+      await r.persist(sk);
+    } else {
+      await r.expire(mk, TTL_SECONDS);
+      await r.expire(k, TTL_SECONDS);
+      await r.expire(sk, TTL_SECONDS);
+    }
+    if (meta.clientId) await r.zAdd(CLIENT_KEY(meta.clientId), { score: Date.parse(meta.lastActiveAt), value: meta.sessionId });
+    return;
+  }
+
+  memMeta.set(k, { ...meta });
+  if (meta.clientId) {
+    if (!clients.has(meta.clientId)) clients.set(meta.clientId, new Set());
+    clients.get(meta.clientId).add(meta.sessionId);
+  }
+  touchMem(k);
 }
 
 /**
  * Add a message to a conversation session
  * This is the main function you were asking about
+ * Also keeps the session metadata current; for a new session `clientId` (end user, for listing)
+ * and `owner` (the API key that created it) are recorded
  */
-export async function appendMessage(sessionId, msg) {
+export async function appendMessage(sessionId, msg, { clientId, owner } = {}) {
   const k = KEY(sessionId);
   const value = JSON.stringify({ ...msg, ts: Date.now() });
 
@@ -63,15 +142,68 @@ export async function appendMessage(sessionId, msg) {
   if (r) {
     // Use Redis if available
     await r.rPush(k, value);        // Append to the end of the list
-    await r.expire(k, TTL_SECONDS); // Refresh the TTL
-    return;
+  } else {
+    // Fallback to in-memory storage
+    const arr = mem.get(k) || [];
+    arr.push(JSON.parse(value));
+    mem.set(k, arr);
   }
 
-  // Fallback to in-memory storage
-  const arr = mem.get(k) || [];
-  arr.push(JSON.parse(value));
-  mem.set(k, arr);
-  touchMem(k);
+  // Update the metadata (this also refreshes the TTL of the message list)
+  const now = new Date().toISOString();
+  const meta = (await getSessionMeta(sessionId)) || {
+    sessionId,
+    clientId: clientId || null,
+    owner: owner || null,
+    title: null,
+    createdAt: now,
+    messageCount: 0,
+    pinned: false,
+  };
+  meta.lastActiveAt = now;
+  meta.messageCount += 1;
+  if (!meta.title && msg.role === "user") meta.title = titleFrom(msg.message);
+  await saveSessionMeta(meta);
+}
+
+/**
+ * Rename and/or pin a session
+ * Pinned sessions are exempt from SESSION_TTL_SECONDS expiry; unpinning restarts the TTL
+ * Returns the updated metadata, or null if the session doesn't exist
+ */
+export async function updateSession(sessionId, { title, pinned } = {}) {
+  const meta = await getSessionMeta(sessionId);
+  if (!meta) return null;
+  if (title !== undefined) meta.title = String(title).trim().slice(0, 200) || meta.title;
+  if (pinned !== undefined) meta.pinned = !!pinned;
+  await saveSessionMeta(meta);
+  return meta;
+}
+
+/**
+ * List a client's sessions, most recently active first
+ * Sessions that expired since they were indexed are dropped from the index here
+ */
+export async function listSessions(clientId, limit = 50) {
+  const r = await getClient();
+  let ids;
+  if (r) {
+    ids = await r.zRange(CLIENT_KEY(clientId), 0, -1, { REV: true });
+  } else {
+    ids = [...(clients.get(clientId) || [])];
+  }
+
+  const metas = await Promise.all(ids.map((id) => getSessionMeta(id)));
+  const gone = ids.filter((_, i) => !metas[i]);
+  if (gone.length) {
+    if (r) await r.zRem(CLIENT_KEY(clientId), gone);
+    else gone.forEach((id) => clients.get(clientId)?.delete(id));
+  }
+
+  return metas
+    .filter(Boolean)
+    .sort((a, b) => b.lastActiveAt.localeCompare(a.lastActiveAt))
+    .slice(0, limit);
 }
 
 /**
@@ -97,22 +229,199 @@ export async function getHistory(sessionId) {
   return mem.get(k) || [];
 }
 
+/**
+ * Read a session's rolling summary: { text, upTo } where upTo is how many of the
+ * session's messages (from the start) it covers; null if nothing has been summarised yet
+ */
+export async function getSummary(sessionId) {
+  const r = await getClient();
+  if (r) {
+    const s = await r.get(SUMMARY_KEY(sessionId));
+    try {
+      return s ? JSON.parse(s) : null;
+    } catch {
+      return null;
+    }
+  }
+  const summary = memSummary.get(KEY(sessionId));
+  return summary ? { ...summary } : null;
+}
+
+/**
+ * Store a session's rolling summary next to its history
+ * It expires with the session (or not at all while the session is pinned)
+ */
+export async function saveSummary(sessionId, { text, upTo }) {
+  const value = { text, upTo, updatedAt: new Date().toISOString() };
+  const r = await getClient();
+  if (r) {
+    const sk = SUMMARY_KEY(sessionId);
+    await r.set(sk, JSON.stringify(value));
+    const meta = await getSessionMeta(sessionId);
+    if (!meta?.pinned) await r.expire(sk, TTL_SECONDS);
+    return;
+  }
+  // The in-memory copy is dropped by the session's own TTL timer
+  memSummary.set(KEY(sessionId), value);
+}
+
 /**
  * Clear/reset a conversation session
  */
 export async function resetSession(sessionId) {
   const k = KEY(sessionId);
+  const meta = await getSessionMeta(sessionId);
   const r = await getClient();
   
   if (r) { 
-    await r.del(k); 
+    await r.del([k, META_KEY(sessionId), SUMMARY_KEY(sessionId)]); 
+    if (meta?.clientId) await r.zRem(CLIENT_KEY(meta.clientId), sessionId);
     return; 
   }
   
   // Clean up in-memory storage
   mem.delete(k);
+  memMeta.delete(k);
+  memSummary.delete(k);
+  if (meta?.clientId) clients.get(meta.clientId)?.delete(sessionId);
   if (timers.has(k)) { 
     clearTimeout(timers.get(k)); 
     timers.delete(k); 
   }
-}
\ No newline at end of file
+}
+
+// ---- Generic JSON records (admin jobs etc.), same Redis / in-memory fallback ----
+const records = new Map();       // key -> { value, expiresAt }
+const recordIndexes = new Map(); // index key -> [ids], newest first
+
+/**
+ * Store a JSON record under a key, expiring after ttlSeconds
+ */
+export async function putRecord(key, value, ttlSeconds) {
+  const r = await getClient();
+  if (r) {
+    await r.set(key, JSON.stringify(value), { EX: ttlSeconds });
+    return;
+  }
+  records.set(key, { value: JSON.parse(JSON.stringify(value)), expiresAt: Date.now() + ttlSeconds * 1000 });
+}
+
+/**
+ * Read a JSON record, or null if it doesn't exist (or expired)
+ */
+export async function getRecord(key) {
+  const r = await getClient();
+  if (r) {
+    const s = await r.get(key);
+    if (!s) return null;
+    try {
+      return JSON.parse(s);
+    } catch {
+      return null;
+    }
+  }
+
+  const entry = records.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    records.delete(key);
+    return null;
+  }
+  return JSON.parse(JSON.stringify(entry.value));
+}
+
+/**
+ * Add an ID to the front of a capped index list (e.g. "admin:jobs")
+ */
+export async function addToIndex(indexKey, id, maxLength = 500) {
+  const r = await getClient();
+  if (r) {
+    await r.lPush(indexKey, id);
+    await r.lTrim(indexKey, 0, maxLength - 1);
+    return;
+  }
+  const ids = [id, ...(recordIndexes.get(indexKey) || [])].slice(0, maxLength);
+  recordIndexes.set(indexKey, ids);
+}
+
+/**
+ * Read the IDs in an index list, newest first
+ */
+export async function getIndex(indexKey, limit = 100) {
+  const r = await getClient();
+  if (r) return r.lRange(indexKey, 0, limit - 1);
+  return (recordIndexes.get(indexKey) || []).slice(0, limit);
+}
+
+// ---- Counters (rate limits, quotas), same Redis / in-memory fallback ----
+const counters = new Map(); // key -> { value, expiresAt }
+
+/**
+ * Add `by` to a counter and return the new value
+ * The expiry is set when the counter is created, so fixed windows line up with their start
+ */
+export async function incrementCounter(key, by, ttlSeconds) {
+  const r = await getClient();
+  if (r) {
+    const value = await r.incrBy(key, by);
+    if (value === by) await r.expire(key, ttlSeconds);
+    return value;
+  }
+
+  const entry = counters.get(key);
+  if (!entry || entry.expiresAt <= Date.now()) {
+    // Expired windows pile up otherwise - sweep them out now and then
+    if (counters.size > 10000) {
+      for (const [k, e] of counters) if (e.expiresAt <= Date.now()) counters.delete(k);
+    }
+    counters.set(key, { value: by, expiresAt: Date.now() + ttlSeconds * 1000 });
+    return by;
+  }
+  entry.value += by;
+  return entry.value;
+}
+
+/**
+ * Current value of a counter (0 if missing or expired)
+ */
+export async function getCounter(key) {
+  const r = await getClient();
+  if (r) return Number(await r.get(key)) || 0;
+
+  const entry = counters.get(key);
+  if (!entry || entry.expiresAt <= Date.now()) return 0;
+  return entry.value;
+}
+
+// ---- Locks (one scheduled job across processes), same Redis / in-memory fallback ----
+const locks = new Map(); // key -> { token, expiresAt }
+
+// Delete the lock only if it still holds our token, atomically
+const RELEASE_SCRIPT = 'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) else return 0 end';
+
+/**
+ * Take a lock for up to ttlSeconds; returns a token to release it with, or null if someone else holds it
+ * The TTL frees the lock if its holder dies without releasing it
+ */
+export async function acquireLock(key, ttlSeconds) {
+  const token = `${process.pid}:${randomUUID()}`;
+  const r = await getClient();
+  if (r) return (await r.set(key, token, { NX: true, EX: ttlSeconds })) === "OK" ? token : null;
+
+  if ((locks.get(key)?.expiresAt || 0) > Date.now()) return null;
+  locks.set(key, { token, expiresAt: Date.now() + ttlSeconds * 1000 });
+  return token;
+}
+
+/**
+ * Release a lock taken with acquireLock
+ * Does nothing if the lock expired and was taken by someone else in the meantime
+ */
+export async function releaseLock(key, token) {
+  const r = await getClient();
+  if (r) {
+    await r.eval(RELEASE_SCRIPT, { keys: [key], arguments: [token] });
+    return;
+  }
+  if (locks.get(key)?.token === token) locks.delete(key);
+}
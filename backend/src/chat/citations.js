@@ -0,0 +1,127 @@
+// Citation verification: map [n] markers in a reply back to the context blocks they point at
+
+// How much of the supporting chunk we return with each citation
+const SNIPPET_CHARS = 300;
+
+// Phrases that mark a sentence as not making a factual claim (no citation needed)
+const NON_FACTUAL = /\b(i'?m not sure|i am not sure|unsure|i don'?t know|not (mentioned|covered|available) in|no information|the context does not|let me know|hope this helps)\b/i;
+
+// Matches [1], [1, 2], [1][2] groups and ranges like [1-3]
+const MARKER_GROUP = /\[(\d+(?:\s*[-–,]\s*\d+)*)\]/g;
+
+// Whitespace after sentence-ending punctuation, unless a citation marker follows
+// "।" / "॥" (danda) end sentences in Hindi and other Indian-language replies
+const SENTENCE_BREAK = /(?<=[.!?।॥])\s+(?!\[\d)/;
+
+/**
+ * Split a reply into sentences, keeping list items and line breaks as boundaries
+ * Markers right after the full stop ("... rose 5%. [2]") stay with their sentence
+ */
+export function splitSentences(text) {
+  return String(text || "")
+    .split(/\n+/)
+    .flatMap((line) => line.split(SENTENCE_BREAK))
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Read the citation numbers from one sentence, expanding ranges
+ */
+function markersIn(sentence) {
+  const nums = [];
+  for (const [, group] of sentence.matchAll(MARKER_GROUP)) {
+    for (const part of group.split(",")) {
+      const [a, b] = part.split(/[-–]/).map((n) => Number(n.trim()));
+      if (b && b >= a && b - a < 20) for (let n = a; n <= b; n++) nums.push(n);
+      else nums.push(a);
+    }
+  }
+  return [...new Set(nums)];
+}
+
+/**
+ * A sentence that states something and therefore should carry a citation
+ * Questions, hedges and very short fragments (headings, "Sure!") are exempt
+ */
+function isFactual(sentence) {
+  const plain = sentence.replace(MARKER_GROUP, "").replace(/^[-*•\d.)\s]+/, "").trim();
+  if (plain.split(/\s+/).length < 6) return false;
+  if (plain.endsWith("?") || plain.endsWith(":")) return false;
+  return !NON_FACTUAL.test(plain);
+}
+
+/**
+ * Check a reply's [n] markers against the context blocks it was given (1-based, prompt order)
+ * Returns the cited sources - each with its supporting snippet and the sentences citing it -
+ * and a verification report listing invalid markers and factual sentences without a citation.
+ */
+export function verifyCitations(reply, contextDocs) {
+  const cited = new Map(); // n -> citation
+  const invalidMarkers = [];
+  const uncitedSentences = [];
+
+  for (const sentence of splitSentences(reply)) {
+    const nums = markersIn(sentence);
+    if (!nums.length) {
+      if (isFactual(sentence)) uncitedSentences.push(sentence);
+      continue;
+    }
+
+    for (const n of nums) {
+      const doc = contextDocs[n - 1];
+      if (!doc) {
+        invalidMarkers.push({ marker: n, sentence });
+        continue;
+      }
+      if (!cited.has(n)) {
+        cited.set(n, {
+          n,
+          title: doc.title,
+          url: doc.url,
+          publisher: doc.publisher || null,
+          publishedAt: doc.publishedAt || null,
+          language: doc.language || null,
+          // Other sources that published the same story
+          alternates: doc.alternates || [],
+          score: doc.score ?? null,
+          snippet: doc.text.length > SNIPPET_CHARS ? `${doc.text.slice(0, SNIPPET_CHARS).trim()}…` : doc.text,
+          sentences: [],
+        });
+      }
+      cited.get(n).sentences.push(sentence);
+    }
+  }
+
+  const citations = [...cited.values()].sort((a, b) => a.n - b.n);
+  return {
+    citations,
+    verification: {
+      valid: invalidMarkers.length === 0 && uncitedSentences.length === 0,
+      missingCitations: citations.length === 0 && contextDocs.length > 0,
+      invalidMarkers,
+      uncitedSentences,
+    },
+  };
+}
+
+/**
+ * Remove uncited factual sentences from a reply (the "drop" citation policy)
+ * Works line by line so list formatting survives
+ */
+export function dropUncitedSentences(reply, uncitedSentences) {
+  if (!uncitedSentences.length) return reply;
+  const drop = new Set(uncitedSentences);
+  const kept = String(reply)
+    .split("\n")
+    .map((line) => ({
+      line,
+      kept: line.split(SENTENCE_BREAK).filter((s) => !drop.has(s.trim())).join(" "),
+    }))
+    // Keep intentional blank lines, but not lines we emptied
+    .filter(({ line, kept }) => kept.trim() || !line.trim())
+    .map(({ kept }) => kept)
+    .join("\n")
+    .trim();
+  return kept || "I'm not sure - the sources I found don't clearly support an answer to that.";
+}
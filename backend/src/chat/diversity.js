@@ -0,0 +1,162 @@
+// Source diversity for retrieved chunks: collapsing syndicated copies, per-URL caps,
+// maximal marginal relevance, and merging neighbouring chunks of one article into a single context block
+import { tokenize } from "../lexical/bm25.js";
+import { simhash, hammingDistance } from "../lexical/neardup.js";
+
+export const DIVERSITY_MODES = ["none", "cap", "mmr"];
+
+// Chunks whose SimHash fingerprints differ in at most this many of 64 bits are the same paragraph
+const MAX_SIMHASH_DISTANCE = 3;
+
+// Alternate copy of a story as listed under a citation
+const alternateOf = (r) => ({ url: r.url, title: r.title || null, publisher: r.publisher || r.source || null, publishedAt: r.publishedAt || null });
+
+// Alternates of two blocks together, one entry per URL
+const unionAlternates = (a = [], b = []) => [...new Map([...a, ...b].map((alt) => [alt.url, alt])).values()];
+
+/**
+ * Collapse copies of the same story, in ranking order: the best-ranked article of a cluster
+ * (same clusterId, set at ingest) keeps its chunks, and chunks from other articles that are
+ * in its cluster or repeat one of its paragraphs (SimHash) are dropped. Dropped articles are
+ * listed on the kept chunks as `alternates`; `collapsed` counts the dropped chunks.
+ */
+export function collapseDuplicates(results) {
+  const leadOf = new Map(); // clusterId -> URL of its best-ranked article
+  const fingerprints = []; // { url, fingerprint } of kept chunks
+  const alternates = new Map(); // kept URL -> Map(url -> alternate)
+  const kept = [];
+  let collapsed = 0;
+
+  const addAlternate = (leadUrl, r) => {
+    if (!alternates.has(leadUrl)) alternates.set(leadUrl, new Map());
+    alternates.get(leadUrl).set(r.url, alternateOf(r));
+    collapsed++;
+  };
+
+  for (const r of results) {
+    const lead = r.clusterId ? leadOf.get(r.clusterId) : null;
+    if (lead && lead !== r.url) {
+      addAlternate(lead, r);
+      continue;
+    }
+
+    const fingerprint = simhash(r.text);
+    const copy = fingerprints.find((f) => f.url !== r.url && hammingDistance(f.fingerprint, fingerprint) <= MAX_SIMHASH_DISTANCE);
+    if (copy) {
+      addAlternate(copy.url, r);
+      continue;
+    }
+
+    if (r.clusterId && !lead) leadOf.set(r.clusterId, r.url);
+    fingerprints.push({ url: r.url, fingerprint });
+    kept.push(r);
+  }
+
+  const out = kept.map((r) => (alternates.has(r.url) ? { ...r, alternates: [...alternates.get(r.url).values()] } : r));
+  return { results: out, collapsed };
+}
+
+/**
+ * Keep at most maxPerUrl chunks from each article, in ranking order
+ */
+export function capPerUrl(results, k, maxPerUrl) {
+  const perUrl = new Map();
+  const out = [];
+  for (const r of results) {
+    const n = perUrl.get(r.url) || 0;
+    if (n >= maxPerUrl) continue;
+    perUrl.set(r.url, n + 1);
+    out.push(r);
+    if (out.length >= k) break;
+  }
+  return out;
+}
+
+// Jaccard similarity of two term sets
+const jaccard = (a, b) => {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const t of a) if (b.has(t)) shared++;
+  return shared / (a.size + b.size - shared);
+};
+
+/**
+ * Maximal marginal relevance: repeatedly pick the chunk that best trades relevance
+ * (lambda) against similarity to what's already picked (1 - lambda)
+ * Similarity is term overlap, with chunks of the same article counted as near-duplicates,
+ * so it needs no stored vectors. Relevance is the score min-max normalised to [0, 1].
+ */
+export function mmr(results, k, lambda = 0.7) {
+  if (!results.length) return [];
+  const scores = results.map((r) => r.score ?? 0);
+  const max = Math.max(...scores);
+  const min = Math.min(...scores);
+  const relevance = scores.map((s) => (max === min ? 1 : (s - min) / (max - min)));
+  const terms = results.map((r) => new Set(tokenize(`${r.title || ""} ${r.text || ""}`)));
+
+  const picked = [];
+  const remaining = new Set(results.keys());
+  while (picked.length < k && remaining.size) {
+    let best = -1;
+    let bestValue = -Infinity;
+    for (const i of remaining) {
+      const redundancy = picked.length
+        ? Math.max(...picked.map((j) => (results[i].url === results[j].url ? 1 : jaccard(terms[i], terms[j]))))
+        : 0;
+      const value = lambda * relevance[i] - (1 - lambda) * redundancy;
+      if (value > bestValue) {
+        bestValue = value;
+        best = i;
+      }
+    }
+    picked.push(best);
+    remaining.delete(best);
+  }
+  return picked.map((i) => ({ ...results[i], mmrScore: lambda * relevance[i] }));
+}
+
+/**
+ * Append b to a, dropping the overlap chunkText leaves between neighbouring chunks
+ */
+function joinOverlapping(a, b) {
+  const probe = b.slice(0, 40);
+  const at = probe.length >= 20 ? a.lastIndexOf(probe, a.length - 1) : -1;
+  if (at !== -1 && at > a.length - 600 && b.startsWith(a.slice(at))) return a + b.slice(a.length - at);
+  return `${a}\n${b}`;
+}
+
+/**
+ * Merge chunks of the same article with consecutive chunk numbers into one context block
+ * Blocks keep the position of their best-ranked chunk and its score; `chunks` and `ids` list what was merged
+ */
+export function mergeAdjacent(results) {
+  const blocks = [];
+  const byUrl = new Map();
+  for (const r of results) {
+    if (!byUrl.has(r.url)) byUrl.set(r.url, []);
+    byUrl.get(r.url).push(r);
+  }
+
+  const order = new Map(results.map((r, i) => [r, i]));
+  for (const chunks of byUrl.values()) {
+    // Chunks without a chunk number (older payloads) can't be placed, so they stay on their own
+    const numbered = chunks.filter((c) => Number.isInteger(c.chunk)).sort((a, b) => a.chunk - b.chunk);
+    chunks.filter((c) => !Number.isInteger(c.chunk)).forEach((c) => blocks.push({ ...c, rank: order.get(c), chunks: [c.chunk], ids: [c.id] }));
+
+    let current = null;
+    for (const c of numbered) {
+      if (current && c.chunk === current.chunks[current.chunks.length - 1] + 1) {
+        current.text = joinOverlapping(current.text, c.text);
+        current.chunks.push(c.chunk);
+        current.ids.push(c.id);
+        if (c.alternates) current.alternates = unionAlternates(current.alternates, c.alternates);
+        if (order.get(c) < current.rank) Object.assign(current, { rank: order.get(c), score: c.score });
+      } else {
+        current = { ...c, rank: order.get(c), chunks: [c.chunk], ids: [c.id] };
+        blocks.push(current);
+      }
+    }
+  }
+
+  return blocks.sort((a, b) => a.rank - b.rank).map(({ rank, ...block }) => block);
+}
@@ -1,73 +1,442 @@
 // Import our custom modules for different parts of the RAG pipeline
-import { getHistory, appendMessage } from '../cache/redis.js';
-import { getEmbedding } from '../embed/jina.js';
-import { search } from '../vecdb/qdrant.js';
-import { answerWithContext } from '../llm/gemini.js';
+import { v4 as uuid } from 'uuid';
+import { getHistory, appendMessage, getSummary, saveSummary } from '../cache/redis.js';
+import { getEmbedding } from '../embed/index.js';
+import { search } from '../vecdb/index.js';
+import { keywordSearch } from '../lexical/bm25.js';
+import { verifyCitations, dropUncitedSentences } from './citations.js';
+import { DIVERSITY_MODES, collapseDuplicates, capPerUrl, mmr, mergeAdjacent } from './diversity.js';
+import { boostRecent } from './recency.js';
+import { rerank, RERANKERS, DEFAULT_RERANKER } from '../rerank/index.js';
+import { answerWithContext, streamAnswerWithContext, condenseQuery, summarizeConversation, llmInfo, usageOf } from '../llm/index.js';
+import { log } from '../obs/logger.js';
+import { timeStage, retrievalScore } from '../obs/metrics.js';
 
 // Use the collection name from environment or default to "news"
 const COLLECTION = process.env.QDRANT_COLLECTION || "news";
 
+// Default retrieval mode: "vector", "keyword" or "hybrid" (can be overridden per request)
+export const RETRIEVAL_MODES = ['vector', 'keyword', 'hybrid'];
+const DEFAULT_MODE = process.env.RETRIEVAL_MODE || 'hybrid';
+
+// What to do with answers containing factual sentences without a citation:
+// "keep" (just flag them), "drop" (remove those sentences) or "regenerate" (ask once more, strictly)
+export const CITATION_POLICIES = ['keep', 'drop', 'regenerate'];
+const DEFAULT_CITATION_POLICY = process.env.CITATION_POLICY || 'keep';
+
+// Set QUERY_REWRITE=off to embed follow-up questions as-is
+const QUERY_REWRITE = process.env.QUERY_REWRITE !== 'off';
+
+// Minimum cosine similarity for a vector hit to be used as context (SIMILARITY_THRESHOLD to tune)
+const SIMILARITY_THRESHOLD = Number(process.env.SIMILARITY_THRESHOLD ?? 0.6);
+
+// Post-retrieval stages: over-fetch FETCH_K candidates, optionally rerank them (RERANKER),
+// keep CONTEXT_K of them with a diversity rule, then merge neighbouring chunks of an article
+const FETCH_K = Number(process.env.RETRIEVAL_FETCH_K ?? 24);
+const CONTEXT_K = Number(process.env.CONTEXT_K ?? 8);
+// When one long article fills the candidates, the per-URL cap (or duplicate collapsing) leaves
+// context slots empty; the search is then widened, doubling k, up to RETRIEVAL_MAX_FETCH_K candidates
+const MAX_FETCH_K = Math.max(FETCH_K, Number(process.env.RETRIEVAL_MAX_FETCH_K ?? FETCH_K * 4));
+const DEFAULT_DIVERSITY = process.env.DIVERSITY || 'cap';       // "none", "cap" or "mmr"
+const MAX_CHUNKS_PER_URL = Number(process.env.MAX_CHUNKS_PER_URL ?? 3);
+const MMR_LAMBDA = Number(process.env.MMR_LAMBDA ?? 0.7);
+const MERGE_ADJACENT = process.env.MERGE_ADJACENT !== 'off';
+
+// Syndicated copies of one story (same cluster, or the same paragraph) collapse into one source
+// listing the other URLs as alternates (COLLAPSE_DUPLICATES=off to disable)
+const COLLAPSE_DUPLICATES = process.env.COLLAPSE_DUPLICATES !== 'off';
+
+// News goes stale: after reranking, scores can be raised by up to RECENCY_BOOST times (0 = off)
+// for brand-new articles, halving every RECENCY_HALF_LIFE_HOURS
+const RECENCY_BOOST = Number(process.env.RECENCY_BOOST ?? 0);
+const RECENCY_HALF_LIFE_HOURS = Number(process.env.RECENCY_HALF_LIFE_HOURS ?? 72);
+export { RERANKERS, DIVERSITY_MODES };
+
+// Long conversations: the newest HISTORY_KEEP_RECENT messages are always sent verbatim; older ones
+// are folded into a rolling per-session summary, SUMMARY_BATCH messages at a time (HISTORY_SUMMARY=off to disable)
+const HISTORY_KEEP_RECENT = Number(process.env.HISTORY_KEEP_RECENT ?? 6);
+const SUMMARY_BATCH = 4;
+const HISTORY_SUMMARY = process.env.HISTORY_SUMMARY !== 'off';
+
+// Reciprocal-rank fusion constant - 60 is the value from the original RRF paper
+const RRF_K = 60;
+
 /**
- * Main RAG (Retrieval-Augmented Generation) function that handles chat messages
- * This is the heart of our system - it retrieves relevant news articles and generates responses
+ * Dense search with the embedded message: keep the results above the similarity threshold
+ */
+async function vectorRetrieve(queryVector, filters, threshold, k) {
+  // Search our vector database for the most relevant news articles
+  // We over-fetch (FETCH_K results), then filter them
+  // Optional filters restrict the search to a date range, sources or categories
+  // Cosine similarity is kept as `similarity` - fusion and reranking replace `score` later on
+  const searchResults = (await timeStage('vector_search', () => search(COLLECTION, queryVector, k, filters)))
+    .map(result => ({ ...result, similarity: result.score }));
+  searchResults.forEach(result => retrievalScore.observe({ source: 'vector' }, result.score));
+  
+  // Filter out results that aren't similar enough (default: below 60% similarity)
+  // This threshold was lowered to include more sports content
+  const filteredResults = searchResults.filter(result => result.score >= threshold);
+  
+  return { searchResults, filteredResults };
+}
+
+/**
+ * BM25 search, timed like the other retrieval stages
+ */
+async function keywordRetrieve(message, filters, k) {
+  return timeStage('keyword_search', () => keywordSearch(message, k, filters));
+}
+
+/**
+ * Combine several ranked lists with reciprocal-rank fusion
+ * Each chunk scores sum(1 / (RRF_K + rank)) over the lists it appears in
  */
-export async function handleChat({ sessionId, message }) {
+function fuseRankings(lists) {
+  const fused = new Map();
+  lists.forEach(list => {
+    list.forEach((result, rank) => {
+      const key = result.id ?? `${result.url}#${result.chunk}`;
+      const entry = fused.get(key) || { ...result, score: 0 };
+      entry.score += 1 / (RRF_K + rank + 1);
+      fused.set(key, entry);
+    });
+  });
+  return Array.from(fused.values()).sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Turn a follow-up ("and in India?") into a standalone search query using the session history
+ * Falls back to the raw message if rewriting is disabled or the LLM call fails
+ */
+async function rewriteQuery(message, history) {
+  if (!QUERY_REWRITE || !history.length) return message;
   try {
-    // First, get the conversation history to maintain context
-    const history = await getHistory(sessionId);
+    return await condenseQuery({ message, history });
+  } catch (error) {
+    log.warn('Query rewrite failed, searching with the raw message', { error });
+    return message;
+  }
+}
+
+/**
+ * Load a session's conversation for prompting: the rolling summary plus the messages it doesn't cover
+ * Once enough messages have aged out of the recent window they are folded into the summary first.
+ * A failed summary update keeps the older messages in the history (the prompt budget still applies).
+ * Returns { history, summary, summarized, usage } - usage counts the summary call, if any
+ */
+async function loadConversation(sessionId) {
+  const messages = await getHistory(sessionId);
+  const usage = { promptTokens: 0, completionTokens: 0 };
+  if (!HISTORY_SUMMARY) return { history: messages, summary: null, summarized: 0, usage };
+  
+  let stored = await getSummary(sessionId);
+  const upTo = stored?.upTo ?? 0;
+  const foldUpTo = messages.length - HISTORY_KEEP_RECENT;
+  if (foldUpTo - upTo >= SUMMARY_BATCH) {
+    try {
+      const { text, usage: used } = await summarizeConversation({ summary: stored?.text, turns: messages.slice(upTo, foldUpTo) });
+      stored = { text, upTo: foldUpTo };
+      await saveSummary(sessionId, stored);
+      usage.promptTokens += used.promptTokens;
+      usage.completionTokens += used.completionTokens;
+    } catch (error) {
+      log.warn('Conversation summary failed, keeping the older turns', { sessionId, error });
+    }
+  }
+  
+  const covered = stored?.upTo ?? 0;
+  return { history: messages.slice(covered), summary: stored?.text || null, summarized: covered, usage };
+}
+
+// Prompt budget report returned with every answer
+const budgetView = ({ promptTokens, contextUsed, historyUsed }, contextDocs, summarized) => ({
+  promptTokens,
+  contextBlocks: { used: contextUsed, retrieved: contextDocs.length },
+  historyMessages: historyUsed,
+  summarizedMessages: summarized
+});
+
+// Compact view of a ranked list for the debug response
+const debugView = results => results.map(r => ({
+  url: r.url,
+  chunk: r.chunks ?? r.chunk,
+  score: r.score,
+  ...(r.retrievalScore !== undefined && { retrievalScore: r.retrievalScore, rerankScore: r.rerankScore }),
+  ...(r.baseScore !== undefined && { baseScore: r.baseScore }),
+  ...(r.mmrScore !== undefined && { mmrScore: r.mmrScore }),
+  ...(r.alternates && { alternates: r.alternates.map(a => a.url) })
+}));
+
+/**
+ * First stage: candidate chunks from vector search, BM25 or both (fused)
+ * queryVector is the embedded message (null in keyword mode), computed once per question
+ */
+async function searchCandidates(message, queryVector, filters, mode, threshold, k) {
+  if (mode === 'keyword') {
+    // BM25 only - no embedding call needed
+    return keywordRetrieve(message, filters, k);
+  }
+  if (mode === 'hybrid') {
+    // Keyword hits skip the similarity threshold - exact matches are what they're for
+    const [{ searchResults, filteredResults }, keywordResults] = await Promise.all([
+      vectorRetrieve(queryVector, filters, threshold, k),
+      keywordRetrieve(message, filters, k),
+    ]);
+    const vectorResults = filteredResults.length > 0 || keywordResults.length > 0
+      ? filteredResults
+      : searchResults.slice(0, 3);
+    return fuseRankings([vectorResults, keywordResults]).slice(0, k);
+  }
+  
+  const { searchResults, filteredResults } = await vectorRetrieve(queryVector, filters, threshold, k);
+  
+  // If we don't have enough good results, take the top 3 regardless of score
+  // This ensures we always have some context to work with
+  return filteredResults.length > 0 ? filteredResults : searchResults.slice(0, 3);
+}
+
+/**
+ * Retrieve the news chunks relevant to a message and build the citations for them
+ * Shared by the regular and the streaming chat handlers, and by the eval command
+ * (which also overrides the similarity threshold, reranker, recency boost and diversity rule to compare settings)
+ * Stages: search (over-fetch) -> rerank -> recency boost -> collapse duplicates -> diversity -> merge adjacent chunks.
+ * `debug` lists the chunks and scores coming out of every stage.
+ */
+export async function retrieve(message, filters, mode = DEFAULT_MODE, {
+  threshold = SIMILARITY_THRESHOLD,
+  reranker = DEFAULT_RERANKER,
+  recencyBoost = RECENCY_BOOST,
+  diversity = DEFAULT_DIVERSITY
+} = {}) {
+  // Convert the user's message into a vector embedding so we can search for similar content
+  // Embedded once: a widened search reuses it
+  const queryVector = mode === 'keyword' ? null : await timeStage('embed', () => getEmbedding(message));
+  
+  // Rerank scores by chunk, so a widened search only sends the reranker the chunks it hasn't seen
+  const rerankScores = new Map();
+  let fetchK = FETCH_K;
+  let candidates, reranked, unique, collapsed, selected;
+  for (;;) {
+    candidates = await searchCandidates(message, queryVector, filters, mode, threshold, fetchK);
+    reranked = boostRecent(await rerank(message, candidates, reranker, { scores: rerankScores }), recencyBoost, RECENCY_HALF_LIFE_HOURS);
     
-    // Convert the user's message into a vector embedding so we can search for similar content
-    const queryVector = await getEmbedding(message);
+    // One wire story published by several sources shouldn't take several context slots
+    ({ results: unique, collapsed } = COLLAPSE_DUPLICATES
+      ? collapseDuplicates(reranked)
+      : { results: reranked, collapsed: 0 });
     
-    // Search our vector database for the most relevant news articles
-    // We ask for 8 results initially, then filter them
-    const searchResults = await search(COLLECTION, queryVector, 8);
+    // Stop one long article from filling every context slot
+    if (diversity === 'mmr') selected = mmr(unique, CONTEXT_K, MMR_LAMBDA);
+    else if (diversity === 'cap') selected = capPerUrl(unique, CONTEXT_K, MAX_CHUNKS_PER_URL);
+    else selected = unique.slice(0, CONTEXT_K);
     
-    // Filter out results that aren't similar enough (below 60% similarity)
-    // This threshold was lowered to include more sports content
-    const filteredResults = searchResults.filter(result => result.score >= 0.6);
+    // Fewer candidates than asked for means the search has nothing more to give
+    const exhausted = candidates.length < fetchK;
+    if (selected.length >= CONTEXT_K || exhausted || fetchK >= MAX_FETCH_K) break;
+    fetchK = Math.min(fetchK * 2, MAX_FETCH_K);
+  }
+  
+  const finalResults = MERGE_ADJACENT ? mergeAdjacent(selected) : selected;
+  
+  // Format the search results into a clean structure for the LLM
+  const contextDocs = finalResults.map(result => ({
+    title: result.title,
+    text: result.text,
+    url: result.url,
+    publisher: result.publisher,
+    publishedAt: result.publishedAt,
+    language: result.language,
+    alternates: result.alternates || [],
+    score: result.score
+  }));
+  
+  // Create citations for the sources we used
+  // We deduplicate by URL and keep the highest scoring version of each source
+  const citationsMap = new Map();
+  finalResults.forEach(result => {
+    const key = result.url;
+    if (!citationsMap.has(key) || result.score > citationsMap.get(key).score) {
+      citationsMap.set(key, {
+        title: result.title,
+        url: result.url,
+        publisher: result.publisher || null,
+        publishedAt: result.publishedAt || null,
+        language: result.language || null,
+        alternates: result.alternates || [],
+        score: result.score
+      });
+    }
+  });
+  const citations = Array.from(citationsMap.values());
+  
+  // Which stored points each context block came from, kept with the answer so feedback can be traced back
+  const trace = finalResults.map((result, i) => ({
+    n: i + 1,
+    url: result.url,
+    source: result.source || null,
+    chunks: result.chunks ?? [result.chunk ?? null],
+    pointIds: result.ids ?? [result.id ?? null],
+    score: result.score,
+    similarity: result.similarity ?? null
+  }));
+  
+  const debug = {
+    config: { mode, fetchK, contextK: CONTEXT_K, threshold: mode === 'keyword' ? null : threshold, reranker, recencyBoost, collapseDuplicates: COLLAPSE_DUPLICATES, diversity, mergeAdjacent: MERGE_ADJACENT },
+    candidates: debugView(candidates),
+    ...(reranker !== 'none' && { reranked: debugView(reranked) }),
+    ...(collapsed > 0 && { deduplicated: debugView(unique) }),
+    selected: debugView(selected),
+    context: debugView(finalResults)
+  };
+  
+  return { contextDocs, citations, retrieval: mode, trace, debug };
+}
+
+/**
+ * Save a question and its answer to the session history
+ * The answer keeps a compact copy of its citations so transcripts can show sources inline,
+ * and its ID plus how it was produced (query, retrieval mode, context points and scores, model)
+ * so feedback on it can be traced back to the chunks it used
+ */
+async function saveTurn(sessionId, { clientId, owner }, message, reply, citations, turn) {
+  await appendMessage(sessionId, { message, role: 'user' }, { clientId, owner });
+  await appendMessage(sessionId, {
+    id: turn.id,
+    message: reply,
+    role: 'assistant',
+    citations: citations.map(({ n, title, url, publisher, publishedAt, language, alternates }) => ({ n, title, url, publisher, publishedAt, language, alternates })),
+    query: turn.query,
+    retrieval: turn.retrieval,
+    context: turn.context,
+    llm: turn.llm
+  }, { clientId, owner });
+}
+
+/**
+ * Main RAG (Retrieval-Augmented Generation) function that handles chat messages
+ * This is the heart of our system - it retrieves relevant news articles and generates responses
+ */
+export async function handleChat({ sessionId, clientId, owner, message, filters, retrieval, citationPolicy = DEFAULT_CITATION_POLICY, debug = false }) {
+  try {
+    // First, get the conversation history (recent turns plus a summary of older ones)
+    const { history, summary, summarized, usage: summaryUsage } = await loadConversation(sessionId);
     
-    // If we don't have enough good results, take the top 3 regardless of score
-    // This ensures we always have some context to work with
-    const finalResults = filteredResults.length > 0 ? filteredResults : searchResults.slice(0, 3);
+    // Follow-ups only make sense with earlier turns, so search with a standalone version
+    const query = await rewriteQuery(message, history);
     
-    // Format the search results into a clean structure for the LLM
-    const contextDocs = finalResults.map(result => ({
-      title: result.title,
-      text: result.text,
-      url: result.url
-    }));
+    // Find the relevant news chunks and the sources we'll cite
+    const { contextDocs, retrieval: mode, trace, debug: stages } = await retrieve(query, filters, retrieval);
     
     // Send everything to the LLM to generate a response with context
-    const response = await answerWithContext({ 
+    let response = await answerWithContext({ 
       message, 
       contextDocs, 
-      history 
+      history,
+      summary
     });
-    const reply = response.text;
-    
-    // Create citations for the sources we used
-    // We deduplicate by URL and keep the highest scoring version of each source
-    const citationsMap = new Map();
-    finalResults.forEach(result => {
-      const key = result.url;
-      if (!citationsMap.has(key) || result.score > citationsMap.get(key).score) {
-        citationsMap.set(key, {
-          title: result.title,
-          url: result.url,
-          score: result.score
-        });
+    let reply = response.text;
+    
+    // Token usage across every LLM call made for this answer
+    const usage = {
+      promptTokens: response.usage.promptTokens + summaryUsage.promptTokens,
+      completionTokens: response.usage.completionTokens + summaryUsage.completionTokens
+    };
+    
+    // Only the blocks that fit the prompt budget can be cited
+    let sentDocs = contextDocs.slice(0, response.contextUsed);
+    
+    // Check which context blocks the reply actually cites, and whether every claim is cited
+    let { citations, verification } = verifyCitations(reply, sentDocs);
+    
+    if (!verification.valid && citationPolicy === 'regenerate') {
+      // One more try with stricter instructions; keep whichever answer is better cited
+      const retry = await answerWithContext({ message, contextDocs, history, summary, strictCitations: true });
+      usage.promptTokens += retry.usage.promptTokens;
+      usage.completionTokens += retry.usage.completionTokens;
+      // The stricter prompt is longer, so the retry may have fit fewer blocks
+      const retryDocs = contextDocs.slice(0, retry.contextUsed);
+      const checked = verifyCitations(retry.text, retryDocs);
+      const problems = (v) => v.invalidMarkers.length + v.uncitedSentences.length;
+      if (problems(checked.verification) < problems(verification)) {
+        response = retry;
+        reply = retry.text;
+        sentDocs = retryDocs;
+        ({ citations, verification } = checked);
       }
-    });
-    const citations = Array.from(citationsMap.values());
+      verification.regenerated = true;
+    }
+    
+    if (verification.uncitedSentences.length && citationPolicy === 'drop') {
+      reply = dropUncitedSentences(reply, verification.uncitedSentences);
+      ({ citations } = verifyCitations(reply, sentDocs));
+      verification = { ...verification, dropped: verification.uncitedSentences.length };
+    }
     
     // Save both the user's message and our response to the conversation history
-    await appendMessage(sessionId, { message, role: 'user' });
-    await appendMessage(sessionId, { message: reply, role: 'assistant' });
+    const turnId = uuid();
+    const llm = { provider: response.provider, model: response.model };
+    await saveTurn(sessionId, { clientId, owner }, message, reply, citations, {
+      id: turnId, query, retrieval: mode, context: trace.slice(0, response.contextUsed), llm
+    });
+    
+    return {
+      turnId, reply, citations, verification, query, retrieval: mode, usage,
+      budget: budgetView(response, contextDocs, summarized),
+      llm,
+      ...(debug && { debug: stages })
+    };
+  } catch (error) {
+    log.error('Error in handleChat', { error });
+    throw new Error('Failed to process chat message');
+  }
+}
+
+/**
+ * Streaming variant of handleChat
+ * Yields a "citations" event first (everything retrieved), then one "token" event per piece
+ * of the reply, and finally a "done" event with the verified citations once the full reply
+ * has been saved to the session history. Tokens are already sent by then, so the "drop" and
+ * "regenerate" citation policies don't apply here - problems are only flagged.
+ * If the signal is aborted (client went away) generation stops and nothing is saved.
+ */
+export async function* streamChat({ sessionId, clientId, owner, message, filters, retrieval, signal, debug = false }) {
+  try {
+    const { history, summary, summarized, usage: summaryUsage } = await loadConversation(sessionId);
+    const query = await rewriteQuery(message, history);
+    const { contextDocs, citations, retrieval: mode, trace, debug: stages } = await retrieve(query, filters, retrieval);
+    
+    // Let the client render sources before the first token arrives
+    yield { type: 'citations', citations, query, retrieval: mode, ...(debug && { debug: stages }) };
+    
+    let reply = '';
+    let prompt = null;
+    let reported = null;
+    const onPrompt = (built) => { prompt = built; };
+    const onUsage = (counts) => { reported = counts; };
+    for await (const text of streamAnswerWithContext({ message, contextDocs, history, summary, signal, onPrompt, onUsage })) {
+      reply += text;
+      yield { type: 'token', text };
+    }
+    
+    // The stream may end quietly after an abort - don't store a half-written answer
+    if (signal?.aborted) return;
+    
+    const verified = verifyCitations(reply, contextDocs.slice(0, prompt.contextUsed));
+    const turnId = uuid();
+    await saveTurn(sessionId, { clientId, owner }, message, reply, verified.citations, {
+      id: turnId, query, retrieval: mode, context: trace.slice(0, prompt.contextUsed), llm: llmInfo()
+    });
     
-    return { reply, citations };
+    // Provider-reported counts when the stream ended with them, else estimates
+    const answerUsage = usageOf(reported, prompt.promptTokens, reply);
+    const usage = {
+      promptTokens: answerUsage.promptTokens + summaryUsage.promptTokens,
+      completionTokens: answerUsage.completionTokens + summaryUsage.completionTokens
+    };
+    yield { type: 'done', turnId, reply, ...verified, usage, budget: budgetView(prompt, contextDocs, summarized), llm: llmInfo() };
   } catch (error) {
-    console.error('Error in handleChat:', error);
+    if (signal?.aborted) return;
+    log.error('Error in streamChat', { error });
     throw new Error('Failed to process chat message');
   }
 }
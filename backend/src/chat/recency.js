@@ -0,0 +1,27 @@
+// Optional recency boost for news retrieval: newer articles move up the ranking
+// The boost halves every halfLifeHours, so it breaks near-ties without burying older coverage
+
+/**
+ * Age of a chunk's article in hours - publish date, else ingest date; null when neither is known
+ */
+function ageHours(result, now) {
+  const ts = result.publishedTs ?? result.ingestedTs ?? (result.ingestedAt ? Date.parse(result.ingestedAt) / 1000 : null);
+  return ts == null || Number.isNaN(ts) ? null : Math.max(0, now / 1000 - ts) / 3600;
+}
+
+/**
+ * Raise each score by up to `boost` times its size (fresh articles), decaying with age, and re-sort
+ * The original score is kept as `baseScore`; undated chunks are left as they are
+ */
+export function boostRecent(results, boost, halfLifeHours) {
+  if (!(boost > 0) || !(halfLifeHours > 0)) return results;
+  const now = Date.now();
+  return results
+    .map((r) => {
+      const age = ageHours(r, now);
+      if (age == null) return r;
+      const factor = boost * 0.5 ** (age / halfLifeHours);
+      return { ...r, baseScore: r.score, score: r.score + Math.abs(r.score) * factor };
+    })
+    .sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,57 @@
+// Transcript export for a chat session (JSON or Markdown, citations inline)
+
+/**
+ * Render one assistant turn's citations as a Markdown source list
+ */
+function sourcesMarkdown(citations = []) {
+  if (!citations.length) return "";
+  const lines = citations.map((c) => {
+    const date = c.publishedAt ? ` (${c.publishedAt.slice(0, 10)})` : "";
+    const publisher = c.publisher ? ` - ${c.publisher}` : "";
+    const also = c.alternates?.length
+      ? ` (also: ${c.alternates.map((a) => `[${a.publisher || a.url}](${a.url})`).join(", ")})`
+      : "";
+    return `${c.n != null ? `[${c.n}] ` : "- "}[${c.title || c.url}](${c.url})${publisher}${date}${also}`;
+  });
+  return `\n\n**Sources**\n\n${lines.join("\n")}`;
+}
+
+/**
+ * Build the transcript as a plain object: session metadata plus every turn
+ */
+export function transcriptJson(meta, messages) {
+  return {
+    session: meta,
+    exportedAt: new Date().toISOString(),
+    messages: messages.map((m) => ({
+      ...(m.id && { id: m.id }),
+      role: m.role,
+      text: m.message ?? m.content ?? "",
+      at: m.ts ? new Date(m.ts).toISOString() : null,
+      citations: m.citations || [],
+    })),
+  };
+}
+
+/**
+ * Build the transcript as Markdown, with each answer followed by the sources it cited
+ */
+export function transcriptMarkdown(meta, messages) {
+  const header = [
+    `# ${meta?.title || "Chat transcript"}`,
+    "",
+    `- Session: ${meta?.sessionId ?? "unknown"}`,
+    meta?.createdAt ? `- Started: ${meta.createdAt}` : null,
+    meta?.lastActiveAt ? `- Last active: ${meta.lastActiveAt}` : null,
+    `- Messages: ${messages.length}`,
+  ].filter((l) => l !== null);
+
+  const turns = messages.map((m) => {
+    const who = m.role === "assistant" ? "Assistant" : "User";
+    const at = m.ts ? ` _(${new Date(m.ts).toISOString()})_` : "";
+    const text = m.message ?? m.content ?? "";
+    return `### ${who}${at}\n\n${text}${m.role === "assistant" ? sourcesMarkdown(m.citations) : ""}`;
+  });
+
+  return `${header.join("\n")}\n\n${turns.join("\n\n")}\n`;
+}
@@ -0,0 +1,161 @@
+// Read-only views of what has been ingested: article listing, single articles,
+// search, corpus statistics and URL coverage
+import fs from "fs";
+import {
+  scrollArticles,
+  getArticleChunks,
+  countChunks,
+  scrollAll,
+  listUrls,
+  getCollectionInfo,
+} from "../vecdb/index.js";
+import { keywordSearch } from "../lexical/bm25.js";
+import { COLLECTION, URLS_FILE, readIngestStatus } from "../ingest/pipeline.js";
+import { sourceFromUrl } from "../ingest/metadata.js";
+
+// Chunk length histogram bucket width, in characters
+const LENGTH_BUCKET = 250;
+
+// Article fields shared by every listing
+const articleView = (p) => ({
+  url: p.url,
+  title: p.title || null,
+  publisher: p.publisher || null,
+  source: p.source || sourceFromUrl(p.url),
+  category: p.category || null,
+  language: p.language || null,
+  publishedAt: p.publishedAt || null,
+  ingestedAt: p.ingestedAt || null,
+  chunkCount: p.chunkCount ?? null,
+  // Syndicated copies of one story share a cluster, named after its canonical article
+  clusterId: p.clusterId || null,
+  canonicalUrl: p.canonicalUrl || null,
+});
+
+/**
+ * One page of ingested articles (cursor-based, in Qdrant's storage order)
+ * `title` narrows the list to articles whose title contains those words
+ * Returns { articles, nextCursor } - nextCursor is null on the last page
+ */
+export async function listArticles({ limit = 20, cursor, title } = {}) {
+  const { articles, nextOffset } = await scrollArticles(COLLECTION, { limit, offset: cursor || undefined, title });
+  const views = await Promise.all(
+    articles.map(async (a) => ({
+      ...articleView(a),
+      // Points ingested before chunkCount was stored need a count query
+      chunkCount: a.chunkCount ?? (await countChunks(COLLECTION, a.url)),
+    }))
+  );
+  return { articles: views, nextCursor: nextOffset };
+}
+
+/**
+ * Articles matching a keyword query (BM25 over titles and text), best first
+ * Each result lists the chunks that matched
+ */
+export function searchArticles(query, limit = 20) {
+  const byUrl = new Map();
+  for (const hit of keywordSearch(query, 200)) {
+    if (!byUrl.has(hit.url)) byUrl.set(hit.url, { ...articleView(hit), score: hit.score, matchedChunks: [] });
+    byUrl.get(hit.url).matchedChunks.push(hit.chunk ?? null);
+  }
+  return [...byUrl.values()].slice(0, limit);
+}
+
+/**
+ * One article with all of its chunks in order, or null if it isn't ingested
+ */
+export async function getArticle(url) {
+  const chunks = await getArticleChunks(COLLECTION, url);
+  if (!chunks.length) return null;
+  return {
+    ...articleView(chunks[0]),
+    chunkCount: chunks.length,
+    embedModel: chunks[0].embedModel || null,
+    chunks: chunks.map((c) => ({ chunk: c.chunk ?? null, length: c.text?.length || 0, text: c.text })),
+  };
+}
+
+// Value at quantile q of a sorted array
+const quantile = (sorted, q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+
+/**
+ * Corpus statistics: article and chunk totals, articles per domain,
+ * chunk length distribution and the embedding model/dimension of the collection
+ */
+export async function corpusStats() {
+  const [points, info] = await Promise.all([scrollAll(COLLECTION), getCollectionInfo(COLLECTION)]);
+
+  const articles = new Map(); // url -> source
+  const lengths = [];
+  for (const p of points) {
+    if (!articles.has(p.url)) articles.set(p.url, p.source || sourceFromUrl(p.url));
+    lengths.push(p.text?.length || 0);
+  }
+
+  const perDomain = {};
+  for (const source of articles.values()) perDomain[source] = (perDomain[source] || 0) + 1;
+
+  lengths.sort((a, b) => a - b);
+  const histogram = {};
+  for (const len of lengths) {
+    const from = Math.floor(len / LENGTH_BUCKET) * LENGTH_BUCKET;
+    const bucket = `${from}-${from + LENGTH_BUCKET - 1}`;
+    histogram[bucket] = (histogram[bucket] || 0) + 1;
+  }
+
+  return {
+    collection: COLLECTION,
+    articles: articles.size,
+    chunks: points.length,
+    perDomain: Object.fromEntries(Object.entries(perDomain).sort((a, b) => b[1] - a[1])),
+    chunkLength: lengths.length
+      ? {
+          min: lengths[0],
+          p50: quantile(lengths, 0.5),
+          p90: quantile(lengths, 0.9),
+          max: lengths[lengths.length - 1],
+          mean: Math.round(lengths.reduce((a, b) => a + b, 0) / lengths.length),
+          histogram,
+        }
+      : null,
+    embedding: info ? { model: info.embedModel, dim: info.dim } : null,
+  };
+}
+
+/**
+ * Which configured URLs (data/urls.txt) made it into the collection, and why the others didn't
+ * Statuses come from the last ingestion run that saw each URL; URLs ingested from feeds or the
+ * admin API are counted separately as `extra`
+ */
+export async function coverage() {
+  const listed = fs.existsSync(URLS_FILE)
+    ? [...new Set(fs.readFileSync(URLS_FILE, "utf8").split(/\r?\n/).map((s) => s.trim()).filter(Boolean))]
+    : [];
+  const stored = new Set(await listUrls(COLLECTION));
+  const statuses = readIngestStatus();
+
+  const urls = listed.map((url) => {
+    const last = statuses[url];
+    return {
+      url,
+      ingested: stored.has(url),
+      status: stored.has(url) ? "ingested" : last?.status || "not-ingested",
+      reason: last?.reason || null,
+      title: last?.title || null,
+      lastAttempt: last?.at || null,
+    };
+  });
+
+  const totals = {};
+  urls.forEach((u) => (totals[u.status] = (totals[u.status] || 0) + 1));
+  const listedSet = new Set(listed);
+
+  return {
+    listed: listed.length,
+    ingested: urls.filter((u) => u.ingested).length,
+    extra: [...stored].filter((u) => !listedSet.has(u)).length,
+    totals,
+    urls,
+  };
+}
@@ -0,0 +1,50 @@
+// Corpus API: browse and search the ingested articles, read-only
+// Mounted under /api/corpus by server.js; needs an API key with the "chat" scope (once keys are configured)
+import { Router } from "express";
+import { guard } from "../auth/middleware.js";
+import { listArticles, searchArticles, getArticle, corpusStats } from "./corpus.js";
+import { log } from "../obs/logger.js";
+
+export const corpusRouter = Router();
+corpusRouter.use(guard("chat"));
+
+// Page through ingested articles (?limit, ?cursor from the previous page, ?title to filter by title)
+// or search them with ?q= (keywords matched against titles and text)
+corpusRouter.get("/articles", async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 20, 100);
+    const q = String(req.query.q || "").trim();
+    if (q) return res.json({ query: q, articles: searchArticles(q, limit) });
+
+    const title = String(req.query.title || "").trim() || undefined;
+    const page = await listArticles({ limit, cursor: req.query.cursor, title });
+    res.json(page);
+  } catch (e) {
+    log.error("Corpus listing failed", { error: e });
+    res.status(500).json({ error: e.message || "server_error" });
+  }
+});
+
+// One article with its chunks in order - ?url=<article url>
+corpusRouter.get("/article", async (req, res) => {
+  const url = String(req.query.url || "").trim();
+  if (!url) return res.status(400).json({ error: "url required" });
+  try {
+    const article = await getArticle(url);
+    if (!article) return res.status(404).json({ error: "article not found" });
+    res.json(article);
+  } catch (e) {
+    log.error("Corpus article lookup failed", { url, error: e });
+    res.status(500).json({ error: e.message || "server_error" });
+  }
+});
+
+// Totals, articles per domain, chunk length distribution, embedding model and dimension
+corpusRouter.get("/stats", async (_req, res) => {
+  try {
+    res.json(await corpusStats());
+  } catch (e) {
+    log.error("Corpus stats failed", { error: e });
+    res.status(500).json({ error: e.message || "server_error" });
+  }
+});
@@ -0,0 +1,198 @@
+// "Catch me up" digest: cluster recent chunks into stories and summarise each one with citations
+// Results are cached per time window so repeated calls don't spend LLM quota again
+import crypto from "crypto";
+import { scrollWithVectors, search } from "../vecdb/index.js";
+import { getEmbedding } from "../embed/index.js";
+import { summarizeStory } from "../llm/index.js";
+import { verifyCitations } from "../chat/citations.js";
+import { putRecord, getRecord } from "../cache/redis.js";
+import { COLLECTION } from "../ingest/pipeline.js";
+import { cacheLookup } from "../obs/metrics.js";
+import { log } from "../obs/logger.js";
+
+// Cosine similarity above which an article joins an existing story (DIGEST_SIMILARITY to tune)
+const SIMILARITY = Number(process.env.DIGEST_SIMILARITY ?? 0.8);
+// Most chunks read per digest (0 reads the whole window), and articles summarised per story
+const MAX_CHUNKS = Number(process.env.DIGEST_MAX_CHUNKS ?? 500);
+const ARTICLES_PER_STORY = 3;
+// How long a digest stays cached; open-ended windows are keyed by this period so calls share a cache entry
+const CACHE_SECONDS = Number(process.env.DIGEST_CACHE_SECONDS ?? 60 * 60);
+
+const normalize = (v) => {
+  const norm = Math.sqrt(v.reduce((s, x) => s + x * x, 0)) || 1;
+  return v.map((x) => x / norm);
+};
+const dot = (a, b) => a.reduce((s, x, i) => s + x * b[i], 0);
+
+// When a chunk was published, or ingested if the publisher gave no date (Unix seconds)
+const dateOf = (c) => c.publishedTs ?? c.ingestedTs ?? 0;
+
+/**
+ * Collapse chunks into articles: one entry per URL with the mean (normalised) chunk vector
+ */
+function toArticles(chunks) {
+  const byUrl = new Map();
+  for (const c of chunks) {
+    if (!Array.isArray(c.vector)) continue;
+    if (!byUrl.has(c.url)) byUrl.set(c.url, { ...c, chunks: [], sum: new Array(c.vector.length).fill(0) });
+    const a = byUrl.get(c.url);
+    a.chunks.push(c);
+    c.vector.forEach((x, i) => (a.sum[i] += x));
+  }
+  return [...byUrl.values()].map(({ sum, vector, ...a }) => {
+    // The opening chunk reads best as a summary source
+    a.chunks.sort((x, y) => (x.chunk ?? 0) - (y.chunk ?? 0));
+    return { ...a, vector: normalize(sum) };
+  });
+}
+
+/**
+ * Greedy centroid clustering: each article joins the most similar story above SIMILARITY,
+ * or starts a new one. Articles are visited newest first so stories form around recent coverage.
+ */
+function clusterArticles(articles) {
+  const stories = [];
+  const sorted = [...articles].sort((a, b) => dateOf(b) - dateOf(a));
+  for (const article of sorted) {
+    let best = null;
+    let bestSim = SIMILARITY;
+    for (const story of stories) {
+      const sim = dot(article.vector, story.centroid);
+      if (sim >= bestSim) {
+        best = story;
+        bestSim = sim;
+      }
+    }
+    if (!best) {
+      stories.push({ articles: [article], sum: [...article.vector], centroid: article.vector });
+    } else {
+      best.articles.push(article);
+      article.vector.forEach((x, i) => (best.sum[i] += x));
+      best.centroid = normalize(best.sum);
+    }
+  }
+  return stories;
+}
+
+/**
+ * The articles closest to a story's centroid - the ones whose text we hand to the LLM
+ */
+function representatives(story) {
+  return [...story.articles]
+    .sort((a, b) => dot(b.vector, story.centroid) - dot(a.vector, story.centroid))
+    .slice(0, ARTICLES_PER_STORY);
+}
+
+/**
+ * The time window a digest covers: `hours` back from `to` (default now)
+ */
+function windowFor({ hours = 24, from, to }) {
+  const end = to ? Date.parse(to) : Date.now();
+  const start = from ? Date.parse(from) : end - hours * 60 * 60 * 1000;
+  return { from: new Date(start).toISOString(), to: new Date(end).toISOString() };
+}
+
+/**
+ * What a digest is cached under: a window with a fixed end as it is; one ending now by its start
+ * (or length) and the current cache period, so calls within the period share one digest
+ */
+function cacheWindow({ hours = 24, from, to }, window) {
+  if (to) return window;
+  return { from: from ? window.from : null, hours: from ? null : hours, period: Math.floor(Date.now() / (CACHE_SECONDS * 1000)) };
+}
+
+/**
+ * The newest `limit` chunks matching `filters` in a window, newest first, and whether any were left out
+ * Qdrant scrolls in ID order, so the window is read back from its end in slices (a 24th of it,
+ * at least an hour); only the slice where the limit is reached is read whole and sorted by date
+ */
+async function newestChunks(window, filters, limit) {
+  const start = Date.parse(window.from);
+  const sliceMs = Math.max(60 * 60 * 1000, (Date.parse(window.to) - start) / 24);
+  const byId = new Map();
+  for (let end = Date.parse(window.to); end > start; end -= sliceMs) {
+    const sliceFilters = { ...filters, from: new Date(Math.max(start, end - sliceMs)).toISOString(), to: new Date(end).toISOString() };
+    // Slices share their boundary second, so a chunk can come back twice
+    const slice = (await scrollWithVectors(COLLECTION, sliceFilters, Infinity)).filter((c) => !byId.has(String(c.id)));
+    slice.sort((a, b) => dateOf(b) - dateOf(a)).forEach((c) => byId.set(String(c.id), c));
+    if (byId.size > limit) return { chunks: [...byId.values()].slice(0, limit), truncated: true };
+  }
+  return { chunks: [...byId.values()], truncated: false };
+}
+
+const cacheKey = (params) =>
+  `digest:${crypto.createHash("sha256").update(JSON.stringify(params)).digest("hex").slice(0, 32)}`;
+
+/**
+ * Build (or fetch from cache) the digest for a window
+ * Options: hours | from/to (window), q (topic query), sources (domains or publishers), stories (max stories)
+ * Returns { window, query, sources, stories: [{ title, summary, citations, articles }], usage, cached }
+ */
+export async function buildDigest({ hours, from, to, q, sources, stories: maxStories = 5 } = {}) {
+  const window = windowFor({ hours, from, to });
+  const params = { q: q || null, sources: sources?.length ? [...sources].sort() : null, stories: maxStories };
+  const key = cacheKey({ window: cacheWindow({ hours, from, to }, window), ...params });
+
+  const cached = await getRecord(key);
+  cacheLookup("digest", !!cached);
+  if (cached) return { ...cached, cached: true };
+
+  // Articles without a publish date count from when they were ingested
+  const filters = { from: window.from, to: window.to, sources, undatedByIngest: true };
+  const limit = MAX_CHUNKS > 0 ? MAX_CHUNKS : Infinity;
+  // With a topic, start from the chunks closest to it; otherwise from the newest chunks in the window
+  let chunks;
+  if (q) {
+    chunks = await search(COLLECTION, await getEmbedding(q), Math.min(limit, 200), filters, { withVector: true });
+  } else if (limit === Infinity) {
+    chunks = await scrollWithVectors(COLLECTION, filters, Infinity);
+  } else {
+    const newest = await newestChunks(window, filters, limit);
+    chunks = newest.chunks;
+    if (newest.truncated) {
+      log.warn("Digest window has more chunks than DIGEST_MAX_CHUNKS, the oldest were left out", {
+        window, maxChunks: MAX_CHUNKS, oldestKept: new Date(dateOf(chunks[chunks.length - 1]) * 1000).toISOString(),
+      });
+    }
+  }
+
+  // Biggest stories first; ties go to the more recent one
+  const clusters = clusterArticles(toArticles(chunks))
+    .sort((a, b) => b.articles.length - a.articles.length || dateOf(b.articles[0]) - dateOf(a.articles[0]))
+    .slice(0, maxStories);
+
+  const usage = { promptTokens: 0, completionTokens: 0 };
+  const stories = [];
+  for (const cluster of clusters) {
+    const reps = representatives(cluster);
+    const contextDocs = reps.map((a) => ({
+      title: a.title,
+      url: a.url,
+      publisher: a.publisher,
+      publishedAt: a.publishedAt,
+      text: a.chunks.slice(0, 2).map((c) => c.text).join("\n"),
+    }));
+
+    try {
+      const story = await summarizeStory({ contextDocs, topic: q });
+      usage.promptTokens += story.usage.promptTokens;
+      usage.completionTokens += story.usage.completionTokens;
+      const { citations, verification } = verifyCitations(story.summary, contextDocs);
+      stories.push({
+        title: story.title,
+        summary: story.summary,
+        citations: citations.map(({ n, title, url, publisher, publishedAt }) => ({ n, title, url, publisher, publishedAt })),
+        verification: { valid: verification.valid, uncitedSentences: verification.uncitedSentences },
+        articles: cluster.articles.map((a) => ({ title: a.title, url: a.url, publisher: a.publisher || null, publishedAt: a.publishedAt || null })),
+      });
+    } catch (e) {
+      // One failed summary shouldn't sink the whole digest
+      log.warn("Digest story failed", { lead: reps[0]?.url, error: e.message });
+    }
+  }
+
+  const digest = { window, query: q || null, sources: params.sources, stories, usage, generatedAt: new Date().toISOString() };
+  // Only complete digests are cached - a failed summary should be retried on the next call
+  if (stories.length === clusters.length) await putRecord(key, digest, CACHE_SECONDS);
+  return { ...digest, cached: false };
+}
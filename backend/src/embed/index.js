@@ -0,0 +1,42 @@
+// Embedding provider selection
+// EMBED_PROVIDER=jina (default) | openai (any OpenAI-compatible /v1/embeddings server) | local (offline hashing)
+import * as jina from "./jina.js";
+import * as openai from "./openai.js";
+import * as local from "./local.js";
+
+const PROVIDERS = { jina, openai, local };
+
+export const EMBED_PROVIDER = (process.env.EMBED_PROVIDER || "jina").toLowerCase();
+const provider = PROVIDERS[EMBED_PROVIDER];
+if (!provider) {
+  throw new Error(`Unknown EMBED_PROVIDER "${EMBED_PROVIDER}" (expected one of: ${Object.keys(PROVIDERS).join(", ")})`);
+}
+
+// Cached dimension for providers that can't know it up front
+let probedDim = 0;
+
+/**
+ * Identify the active provider and model, e.g. "jina:jina-embeddings-v2-base-en"
+ * Stored with every point so ingestion can refuse to mix vectors from different models
+ */
+export function embeddingModelId() {
+  return `${EMBED_PROVIDER}:${provider.MODEL}`;
+}
+
+/**
+ * Vector dimension of the active provider
+ * Only an OpenAI-compatible server without EMBED_DIM set needs a (one-time) probe call
+ */
+export async function getDimension() {
+  if (provider.DIM) return provider.DIM;
+  if (!probedDim) probedDim = (await provider.getEmbedding("ping")).length;
+  return probedDim;
+}
+
+export function getEmbedding(input) {
+  return provider.getEmbedding(input);
+}
+
+export function embedMany(texts) {
+  return provider.embedMany(texts);
+}
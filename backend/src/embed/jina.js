@@ -1,18 +1,33 @@
 import axios from "axios";
+import { log } from "../obs/logger.js";
 
 const JINA_URL = "https://api.jina.ai/v1/embeddings";
-const MODEL = "jina-embeddings-v2-base-en";
+
+// JINA_MODEL=jina-embeddings-v3 for multilingual corpora (Hindi and other Indian languages);
+// the default English-only model is kept so existing collections stay compatible
+export const MODEL = process.env.JINA_MODEL || "jina-embeddings-v2-base-en";
+
+// Output size per model - reported up front so ingestion doesn't need a "ping" call
+const DIMS = {
+  "jina-embeddings-v2-base-en": 768,
+  "jina-embeddings-v2-base-de": 768,
+  "jina-embeddings-v2-base-es": 768,
+  "jina-embeddings-v2-base-zh": 768,
+  "jina-embeddings-v3": 1024,
+};
+export const DIM = Number(process.env.EMBED_DIM || DIMS[MODEL] || 0);
+
+// v3 embeds queries and passages differently; older models take no task
+const taskFor = (task) => (MODEL.startsWith("jina-embeddings-v3") ? { task } : {});
 
 
 export async function getEmbedding(input) {
   const text = Array.isArray(input) ? input.join("\n\n") : String(input || "");
-  console.log(`JINA_API_KEY loaded: ${process.env.JINA_API_KEY ? 'YES' : 'NO'}`);
-  console.log(`JINA_API_KEY length: ${process.env.JINA_API_KEY?.length || 0}`);
   
   try {
     const res = await axios.post(
       JINA_URL,
-      { input: text, model: MODEL },
+      { input: text, model: MODEL, ...taskFor("retrieval.query") },
       { 
         headers: { Authorization: `Bearer ${process.env.JINA_API_KEY}` },
         timeout: 10000 // 10 second timeout
@@ -22,7 +37,7 @@ export async function getEmbedding(input) {
     if (!emb) throw new Error("No embedding from Jina");
     return emb;
   } catch (error) {
-    console.error('Jina API error:', error.message);
+    log.error('Jina API error', { error: error.message, status: error.response?.status });
     if (error.code === 'ECONNABORTED' || error.response?.status === 524) {
       throw new Error('Jina API is currently unavailable. Please try again later.');
     }
@@ -33,21 +48,20 @@ export async function getEmbedding(input) {
 
 export async function embedMany(texts) {
   const payload = Array.isArray(texts) ? texts : [texts];
-  console.log(`Embedding ${payload.length} texts, first text length: ${payload[0]?.length || 0}`);
+  log.debug('Jina embedMany', { texts: payload.length, firstLength: payload[0]?.length || 0 });
   
   try {
     const res = await axios.post(
       JINA_URL,
-      { input: payload, model: MODEL },
+      { input: payload, model: MODEL, ...taskFor("retrieval.passage") },
       { 
         headers: { Authorization: `Bearer ${process.env.JINA_API_KEY}` },
         timeout: 30000 // 30 second timeout for multiple texts
       }
     );
-    console.log(`Jina response: ${res.data?.data?.length || 0} embeddings`);
     return res.data.data.map((d) => d.embedding);
   } catch (error) {
-    console.error('Jina API error in embedMany:', error.message);
+    log.error('Jina API error in embedMany', { error: error.message, status: error.response?.status });
     if (error.code === 'ECONNABORTED' || error.response?.status === 524) {
       throw new Error('Jina API is currently unavailable. Please try again later.');
     }
@@ -0,0 +1,47 @@
+// Deterministic offline embedder: a hashed bag of words (feature hashing)
+// Needs no network or API key - meant for development, demos and tests, not for quality retrieval
+import { tokenize } from "../lexical/bm25.js";
+
+// Bump the version whenever tokenize() changes: vectors from different versions don't mix (v2: combining marks)
+export const MODEL = "hashed-bow-v2";
+export const DIM = Number(process.env.EMBED_DIM || 512);
+
+// 32-bit FNV-1a hash - stable across runs and machines
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Embed one text: unigrams and bigrams are hashed into DIM buckets with a sign bit,
+ * weighted by log term frequency and L2-normalized so cosine similarity behaves
+ */
+function embedText(text) {
+  const vec = new Array(DIM).fill(0);
+  const terms = tokenize(text);
+  const features = [...terms, ...terms.slice(1).map((t, i) => `${terms[i]} ${t}`)];
+
+  const counts = new Map();
+  features.forEach((f) => counts.set(f, (counts.get(f) || 0) + 1));
+  for (const [feature, count] of counts) {
+    const h = fnv1a(feature);
+    vec[h % DIM] += (h & 0x80000000 ? -1 : 1) * (1 + Math.log(count));
+  }
+
+  const norm = Math.sqrt(vec.reduce((sum, v) => sum + v * v, 0));
+  return norm ? vec.map((v) => v / norm) : vec;
+}
+
+export async function getEmbedding(input) {
+  const text = Array.isArray(input) ? input.join("\n\n") : String(input || "");
+  return embedText(text);
+}
+
+export async function embedMany(texts) {
+  const payload = Array.isArray(texts) ? texts : [texts];
+  return payload.map(embedText);
+}
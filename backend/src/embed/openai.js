@@ -0,0 +1,48 @@
+import axios from "axios";
+import { log } from "../obs/logger.js";
+
+// Any server that speaks the OpenAI /v1/embeddings API (vLLM, Ollama, llama.cpp, text-embeddings-inference...)
+// e.g. EMBED_BASE_URL=http://localhost:8080/v1
+const BASE_URL = (process.env.EMBED_BASE_URL || "http://localhost:8080/v1").replace(/\/+$/, "");
+export const MODEL = process.env.EMBED_MODEL || "text-embedding-3-small";
+
+// Dimension must come from config since it depends on the served model; 0 means "ask the server once"
+export const DIM = Number(process.env.EMBED_DIM || 0);
+
+/**
+ * Embed a batch of texts through the OpenAI-compatible endpoint
+ * Results are returned in input order (the API may reorder them, so we sort by index)
+ */
+export async function embedMany(texts) {
+  const payload = Array.isArray(texts) ? texts : [texts];
+
+  try {
+    const res = await axios.post(
+      `${BASE_URL}/embeddings`,
+      { input: payload, model: MODEL },
+      {
+        headers: process.env.EMBED_API_KEY ? { Authorization: `Bearer ${process.env.EMBED_API_KEY}` } : {},
+        timeout: 30000,
+      }
+    );
+    const data = res.data?.data || [];
+    if (data.length !== payload.length) throw new Error(`Expected ${payload.length} embeddings, got ${data.length}`);
+    return [...data].sort((a, b) => (a.index ?? 0) - (b.index ?? 0)).map((d) => d.embedding);
+  } catch (error) {
+    log.error("Embedding API error", { error: error.message, status: error.response?.status });
+    if (error.code === "ECONNREFUSED" || error.code === "ECONNABORTED") {
+      throw new Error(`Embedding server at ${BASE_URL} is unavailable. Please try again later.`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Embed a single query (arrays are joined, like the Jina provider does)
+ */
+export async function getEmbedding(input) {
+  const text = Array.isArray(input) ? input.join("\n\n") : String(input || "");
+  const [emb] = await embedMany([text]);
+  if (!emb) throw new Error("No embedding from embedding server");
+  return emb;
+}
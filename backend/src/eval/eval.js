@@ -0,0 +1,215 @@
+// Offline evaluation: run a golden set of questions through the real retrieval path
+// (and optionally the LLM) and report retrieval/answer quality per configuration
+//
+//   npm run eval -- --modes vector,hybrid --thresholds 0.5,0.6 --rerankers none,lexical --diversity cap,mmr --k 5 --answers
+//
+// Golden set (JSONL, one question per line; EVAL_GOLDEN_FILE or --golden to override):
+//   {"id": "upi-limits", "question": "...", "expectedUrls": ["https://..."], "referenceAnswer": "...", "filters": {...}}
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
+import { retrieve, RETRIEVAL_MODES, RERANKERS, DIVERSITY_MODES } from "../chat/rag.js";
+import { answerWithContext, llmInfo } from "../llm/index.js";
+import { embeddingModelId } from "../embed/index.js";
+import { DATA_DIR, OUT_JSONL, CHUNK_SIZE, CHUNK_OVERLAP } from "../ingest/pipeline.js";
+import { rankedUrls, recallAtK, reciprocalRank, ndcgAtK, scoreAnswer, mean } from "./scoring.js";
+import { log } from "../obs/logger.js";
+
+// --name value (or --flag) from the command line
+const arg = (name, fallback) => {
+  const i = process.argv.indexOf(`--${name}`);
+  if (i === -1) return fallback;
+  const value = process.argv[i + 1];
+  return value === undefined || value.startsWith("--") ? true : value;
+};
+const list = (value) => String(value).split(",").map((s) => s.trim()).filter(Boolean);
+
+const GOLDEN_FILE = path.resolve(arg("golden", process.env.EVAL_GOLDEN_FILE || path.join(DATA_DIR, "golden.jsonl")));
+const OUT_DIR = path.resolve(arg("out", path.join(DATA_DIR, "eval")));
+const K = Number(arg("k", 5));
+const MODES = list(arg("modes", RETRIEVAL_MODES.join(",")));
+const THRESHOLDS = list(arg("thresholds", process.env.SIMILARITY_THRESHOLD ?? "0.6")).map(Number);
+const RERANK_OPTIONS = list(arg("rerankers", process.env.RERANKER || "none"));
+const DIVERSITY_OPTIONS = list(arg("diversity", process.env.DIVERSITY || "cap"));
+const WITH_ANSWERS = arg("answers", false) === true;
+
+/**
+ * Read the golden set, dropping lines without a question or expected URLs
+ */
+function loadGolden(file) {
+  const questions = [];
+  fs.readFileSync(file, "utf8").split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim() || line.trim().startsWith("//")) return;
+    const q = JSON.parse(line);
+    if (!q.question || !Array.isArray(q.expectedUrls)) {
+      log.warn("Skipping golden entry without question/expectedUrls", { line: i + 1 });
+      return;
+    }
+    questions.push({ id: q.id || `q${i + 1}`, ...q });
+  });
+  return questions;
+}
+
+/**
+ * Warn about expected URLs that aren't in the ingested corpus - they can never be retrieved
+ */
+function checkAgainstCorpus(questions) {
+  if (!fs.existsSync(OUT_JSONL)) return;
+  const corpus = new Set();
+  for (const line of fs.readFileSync(OUT_JSONL, "utf8").split(/\r?\n/)) {
+    try {
+      if (line.trim()) corpus.add(JSON.parse(line).url);
+    } catch {}
+  }
+  for (const q of questions) {
+    const missing = q.expectedUrls.filter((u) => !corpus.has(u));
+    if (missing.length) log.warn("Expected URLs not in the corpus", { id: q.id, missing });
+  }
+}
+
+// Retrieval configurations to compare (every combination); keyword search has no similarity threshold
+const configurations = () =>
+  MODES.flatMap((mode) => (mode === "keyword" ? [null] : THRESHOLDS).map((threshold) => ({ mode, threshold })))
+    .flatMap((c) => RERANK_OPTIONS.map((reranker) => ({ ...c, reranker })))
+    .flatMap((c) => DIVERSITY_OPTIONS.map((diversity) => ({ ...c, diversity })));
+
+const configName = ({ mode, threshold, reranker, diversity }) =>
+  [threshold == null ? mode : `${mode}@${threshold}`, reranker !== "none" && `rerank:${reranker}`, diversity]
+    .filter(Boolean)
+    .join(" ");
+
+/**
+ * Run every question through one configuration
+ */
+async function evaluate(config, questions) {
+  const results = [];
+  for (const q of questions) {
+    const { reranker, diversity } = config;
+    const options = config.threshold == null ? { reranker, diversity } : { threshold: config.threshold, reranker, diversity };
+    const { contextDocs } = await retrieve(q.question, q.filters, config.mode, options);
+    const ranked = rankedUrls(contextDocs);
+    const result = {
+      id: q.id,
+      question: q.question,
+      retrieved: ranked.slice(0, K),
+      recall: recallAtK(ranked, q.expectedUrls, K),
+      reciprocalRank: reciprocalRank(ranked, q.expectedUrls),
+      ndcg: ndcgAtK(ranked, q.expectedUrls, K),
+    };
+
+    if (WITH_ANSWERS) {
+      try {
+        const { text } = await answerWithContext({ message: q.question, contextDocs, history: [] });
+        result.answer = { reply: text, ...scoreAnswer(text, contextDocs, q) };
+      } catch (e) {
+        log.warn("Answer generation failed", { id: q.id, error: e.message });
+        result.answer = { error: e.message };
+      }
+    }
+    results.push(result);
+  }
+
+  const answers = results.map((r) => r.answer).filter((a) => a && !a.error);
+  return {
+    name: configName(config),
+    ...config,
+    metrics: {
+      [`recall@${K}`]: mean(results.map((r) => r.recall)),
+      mrr: mean(results.map((r) => r.reciprocalRank)),
+      [`ndcg@${K}`]: mean(results.map((r) => r.ndcg)),
+      ...(WITH_ANSWERS && {
+        citationPrecision: mean(answers.map((a) => a.citationPrecision)),
+        citationValid: mean(answers.map((a) => a.citationValid)),
+        faithfulness: mean(answers.map((a) => a.faithfulness)),
+        referenceF1: mean(answers.map((a) => a.referenceF1)),
+      }),
+    },
+    questions: results,
+  };
+}
+
+const fmt = (v) => (v == null ? "–" : v.toFixed(3));
+
+/**
+ * Markdown version of the report: settings, one summary row per configuration,
+ * then recall per question so regressions are easy to spot in a diff
+ */
+function toMarkdown(report) {
+  const { settings, configs } = report;
+  const metricNames = Object.keys(configs[0]?.metrics || {});
+  const lines = [
+    `# Evaluation report`,
+    "",
+    `- Created: ${report.createdAt}`,
+    `- Golden set: ${settings.golden} (${settings.questions} questions)`,
+    `- Embeddings: ${settings.embedModel}, chunks ${settings.chunkSize}/${settings.chunkOverlap} chars (size/overlap)`,
+    settings.llm ? `- LLM: ${settings.llm.provider}/${settings.llm.model}` : `- Answers: not generated`,
+    "",
+    `| Configuration | ${metricNames.join(" | ")} |`,
+    `| --- | ${metricNames.map(() => "---").join(" | ")} |`,
+    ...configs.map((c) => `| ${c.name} | ${metricNames.map((m) => fmt(c.metrics[m])).join(" | ")} |`),
+    "",
+    `## Recall@${settings.k} per question`,
+    "",
+    `| Question | ${configs.map((c) => c.name).join(" | ")} |`,
+    `| --- | ${configs.map(() => "---").join(" | ")} |`,
+  ];
+  (configs[0]?.questions || []).forEach((q, i) => {
+    lines.push(`| ${q.id} | ${configs.map((c) => fmt(c.questions[i].recall)).join(" | ")} |`);
+  });
+  return `${lines.join("\n")}\n`;
+}
+
+async function main() {
+  if (!fs.existsSync(GOLDEN_FILE)) {
+    log.error("Golden set not found - see data/golden.example.jsonl for the format", { file: GOLDEN_FILE });
+    process.exit(1);
+  }
+  for (const [name, values, allowed] of [
+    ["retrieval modes", MODES, RETRIEVAL_MODES],
+    ["rerankers", RERANK_OPTIONS, RERANKERS],
+    ["diversity modes", DIVERSITY_OPTIONS, DIVERSITY_MODES],
+  ]) {
+    const invalid = values.filter((v) => !allowed.includes(v));
+    if (invalid.length) {
+      log.error(`Unknown ${name}`, { invalid, allowed });
+      process.exit(1);
+    }
+  }
+
+  const questions = loadGolden(GOLDEN_FILE);
+  checkAgainstCorpus(questions);
+
+  const configs = [];
+  for (const config of configurations()) {
+    log.info("Evaluating", { config: configName(config), questions: questions.length });
+    configs.push(await evaluate(config, questions));
+  }
+
+  const report = {
+    createdAt: new Date().toISOString(),
+    settings: {
+      golden: path.relative(process.cwd(), GOLDEN_FILE),
+      questions: questions.length,
+      k: K,
+      embedModel: embeddingModelId(),
+      chunkSize: CHUNK_SIZE,
+      chunkOverlap: CHUNK_OVERLAP,
+      llm: WITH_ANSWERS ? llmInfo() : null,
+    },
+    configs,
+  };
+
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+  const base = path.join(OUT_DIR, `eval-${report.createdAt.replace(/[:.]/g, "-")}`);
+  fs.writeFileSync(`${base}.json`, JSON.stringify(report, null, 2));
+  fs.writeFileSync(`${base}.md`, toMarkdown(report));
+
+  for (const c of configs) log.info("Result", { config: c.name, ...c.metrics });
+  log.info("Report written", { json: `${base}.json`, markdown: `${base}.md` });
+}
+
+main().catch((e) => {
+  log.error("Evaluation failed", { error: e });
+  process.exit(1);
+});
@@ -0,0 +1,112 @@
+// Scoring functions for the offline evaluation (npm run eval)
+// Retrieval is scored at the article level: a question's expected sources are URLs, not chunks
+import { tokenize } from "../lexical/bm25.js";
+import { verifyCitations } from "../chat/citations.js";
+
+// Share of a cited sentence's words that must appear in the cited sources to count as supported
+const SUPPORT_THRESHOLD = 0.6;
+
+/**
+ * Ranked, de-duplicated list of article URLs from retrieved chunks (best chunk wins)
+ */
+export function rankedUrls(contextDocs) {
+  return [...new Set(contextDocs.map((d) => d.url))];
+}
+
+/**
+ * Share of the expected URLs found in the top k
+ */
+export function recallAtK(ranked, expected, k) {
+  if (!expected.length) return null;
+  const top = new Set(ranked.slice(0, k));
+  return expected.filter((u) => top.has(u)).length / expected.length;
+}
+
+/**
+ * 1 / rank of the first expected URL (0 when none was retrieved)
+ */
+export function reciprocalRank(ranked, expected) {
+  const idx = ranked.findIndex((u) => expected.includes(u));
+  return idx === -1 ? 0 : 1 / (idx + 1);
+}
+
+/**
+ * nDCG@k with binary relevance - rewards putting the expected sources first
+ */
+export function ndcgAtK(ranked, expected, k) {
+  if (!expected.length) return null;
+  const dcg = ranked.slice(0, k).reduce((sum, u, i) => sum + (expected.includes(u) ? 1 / Math.log2(i + 2) : 0), 0);
+  const ideal = Array.from({ length: Math.min(expected.length, k) }, (_, i) => 1 / Math.log2(i + 2))
+    .reduce((a, b) => a + b, 0);
+  return dcg / ideal;
+}
+
+/**
+ * Token-level F1 between two texts (SQuAD-style), used against reference answers
+ */
+export function tokenF1(answer, reference) {
+  const a = tokenize(answer);
+  const r = tokenize(reference);
+  if (!a.length || !r.length) return 0;
+
+  const counts = new Map();
+  r.forEach((t) => counts.set(t, (counts.get(t) || 0) + 1));
+  let overlap = 0;
+  for (const t of a) {
+    if (counts.get(t) > 0) {
+      overlap++;
+      counts.set(t, counts.get(t) - 1);
+    }
+  }
+  if (!overlap) return 0;
+  const precision = overlap / a.length;
+  const recall = overlap / r.length;
+  return (2 * precision * recall) / (precision + recall);
+}
+
+/**
+ * Score a generated answer against the context it was given
+ * - citationPrecision: share of cited sources that are among the expected URLs
+ * - citationValid: no invalid markers and no uncited factual sentences
+ * - faithfulness: share of cited sentences whose words mostly appear in the sources they cite
+ *   (a lexical proxy - cheap and deterministic, but blind to paraphrase)
+ * - referenceF1: token F1 against the reference answer, when the question has one
+ */
+export function scoreAnswer(reply, contextDocs, { expectedUrls = [], referenceAnswer } = {}) {
+  const { citations, verification } = verifyCitations(reply, contextDocs);
+
+  const citedUrls = [...new Set(citations.map((c) => c.url))];
+  const citationPrecision =
+    expectedUrls.length && citedUrls.length ? citedUrls.filter((u) => expectedUrls.includes(u)).length / citedUrls.length : null;
+
+  // Each sentence is checked against the union of the sources it cites
+  const sources = new Map();
+  for (const c of citations) {
+    for (const sentence of c.sentences) {
+      if (!sources.has(sentence)) sources.set(sentence, []);
+      sources.get(sentence).push(contextDocs[c.n - 1].text);
+    }
+  }
+  let supported = 0;
+  for (const [sentence, texts] of sources) {
+    const words = tokenize(sentence.replace(/\[\d+\]/g, ""));
+    const vocab = new Set(tokenize(texts.join(" ")));
+    if (!words.length || words.filter((w) => vocab.has(w)).length / words.length >= SUPPORT_THRESHOLD) supported++;
+  }
+
+  return {
+    citedUrls,
+    citationPrecision,
+    citationValid: verification.valid,
+    faithfulness: sources.size ? supported / sources.size : null,
+    referenceF1: referenceAnswer ? tokenF1(reply, referenceAnswer) : null,
+  };
+}
+
+/**
+ * Mean of the non-null values (null when there are none)
+ */
+export function mean(values) {
+  const xs = values.filter((v) => v != null);
+  return xs.length ? xs.reduce((a, b) => a + Number(b), 0) / xs.length : null;
+}
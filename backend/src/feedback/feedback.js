@@ -0,0 +1,163 @@
+// Answer feedback: thumbs up/down per assistant turn, and downvote analytics to find weak
+// articles, sources and similarity thresholds
+// Each vote is stored with a snapshot of how the answer was produced, since session history expires
+import { getHistory, putRecord, getRecord, addToIndex, getIndex } from "../cache/redis.js";
+import { sourceFromUrl } from "../ingest/metadata.js";
+import { feedbackVotes } from "../obs/metrics.js";
+
+export const RATINGS = ["up", "down"];
+export const REASONS = ["wrong", "outdated", "irrelevant-sources", "missing-citation", "incomplete", "other"];
+
+// How long votes are kept, and the most that analytics look at
+const TTL_SECONDS = Number(process.env.FEEDBACK_TTL_DAYS ?? 90) * 24 * 60 * 60;
+const MAX_RECORDS = Number(process.env.FEEDBACK_MAX_RECORDS ?? 10000);
+
+// Longest comment and answer excerpt stored with a vote
+const COMMENT_MAX_CHARS = 2000;
+const ANSWER_MAX_CHARS = 2000;
+
+// Rows per dimension in the analytics report
+const TOP_ROWS = 50;
+
+const INDEX_KEY = "feedback";
+const RECORD_KEY = (turnId) => `feedback:${turnId}`;
+
+/**
+ * Record a vote on one assistant turn of a session; voting again replaces the earlier vote
+ * Returns the stored record, or null if the turn isn't in the session (or has expired)
+ */
+export async function recordFeedback(sessionId, turnId, { rating, reason, comment }) {
+  const messages = await getHistory(sessionId);
+  const idx = messages.findIndex((m) => m.role === "assistant" && m.id === turnId);
+  if (idx === -1) return null;
+
+  const turn = messages[idx];
+  const question = messages[idx - 1]?.role === "user" ? messages[idx - 1].message : null;
+  const previous = await getRecord(RECORD_KEY(turnId));
+
+  const record = {
+    turnId,
+    sessionId,
+    rating,
+    reason: reason || null,
+    comment: comment ? String(comment).slice(0, COMMENT_MAX_CHARS) : null,
+    at: new Date().toISOString(),
+    question,
+    answer: String(turn.message || "").slice(0, ANSWER_MAX_CHARS),
+    query: turn.query ?? question,
+    retrieval: turn.retrieval || null,
+    llm: turn.llm || null,
+    context: turn.context || [],
+    cited: (turn.citations || []).map((c) => c.n).filter((n) => n != null),
+  };
+
+  await putRecord(RECORD_KEY(turnId), record, TTL_SECONDS);
+  if (!previous) await addToIndex(INDEX_KEY, turnId, MAX_RECORDS);
+  feedbackVotes.inc({ rating });
+  return record;
+}
+
+/**
+ * Stored votes, newest first; `since` (ISO date) drops older ones
+ */
+export async function listFeedback({ since } = {}) {
+  const ids = await getIndex(INDEX_KEY, MAX_RECORDS);
+  const records = (await Promise.all(ids.map((id) => getRecord(RECORD_KEY(id))))).filter(Boolean);
+  const from = since ? Date.parse(since) : null;
+  return from ? records.filter((r) => Date.parse(r.at) >= from) : records;
+}
+
+// Context blocks a vote is about: the ones the answer cited, or everything it was given if it cited nothing
+const blamedContext = (r) => {
+  const cited = r.context.filter((c) => r.cited.includes(c.n));
+  return cited.length ? cited : r.context;
+};
+
+// Similarity bucket of the best vector match behind an answer, e.g. "0.6-0.7"; "none" for keyword-only context
+const similarityBucket = (r) => {
+  const best = Math.max(...r.context.map((c) => c.similarity ?? -Infinity));
+  if (!Number.isFinite(best)) return "none";
+  const from = Math.floor(best * 10) / 10;
+  return `${from.toFixed(1)}-${(from + 0.1).toFixed(1)}`;
+};
+
+const normalizeQuery = (q) => String(q || "").toLowerCase().replace(/\s+/g, " ").trim();
+
+/**
+ * Count up/down votes per key; a vote counts once per key even if several blocks share it
+ */
+function tally(records, keysOf) {
+  const groups = new Map();
+  for (const r of records) {
+    for (const key of new Set(keysOf(r))) {
+      if (!groups.has(key)) groups.set(key, { key, up: 0, down: 0 });
+      groups.get(key)[r.rating] += 1;
+    }
+  }
+  return [...groups.values()]
+    .map((g) => ({ ...g, total: g.up + g.down, downRate: Math.round((g.down / (g.up + g.down)) * 1000) / 1000 }))
+    .sort((a, b) => b.down - a.down || b.downRate - a.downRate)
+    .slice(0, TOP_ROWS);
+}
+
+/**
+ * Downvote rates by source domain, article, best similarity score and query,
+ * plus the reasons given for downvotes
+ */
+export async function feedbackAnalytics({ since } = {}) {
+  const records = await listFeedback({ since });
+  const down = records.filter((r) => r.rating === "down");
+
+  const reasons = {};
+  down.forEach((r) => (reasons[r.reason || "none"] = (reasons[r.reason || "none"] || 0) + 1));
+
+  return {
+    since: since || null,
+    totals: {
+      votes: records.length,
+      up: records.length - down.length,
+      down: down.length,
+      downRate: records.length ? Math.round((down.length / records.length) * 1000) / 1000 : null,
+    },
+    reasons,
+    bySource: tally(records, (r) => blamedContext(r).map((c) => c.source || sourceFromUrl(c.url))),
+    byArticle: tally(records, (r) => blamedContext(r).map((c) => c.url)),
+    bySimilarity: tally(records, (r) => [similarityBucket(r)]),
+    byQuery: tally(records, (r) => [normalizeQuery(r.query)]),
+  };
+}
+
+// Quote a CSV cell when it needs it
+const csvCell = (v) => {
+  const s = v == null ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+const csv = (rows) => rows.map((row) => row.map(csvCell).join(",")).join("\n") + "\n";
+
+/**
+ * The analytics report as CSV: one row per dimension and key
+ */
+export function analyticsCsv(report) {
+  const rows = [["dimension", "key", "up", "down", "total", "downRate"]];
+  for (const dimension of ["bySource", "byArticle", "bySimilarity", "byQuery"]) {
+    for (const g of report[dimension]) rows.push([dimension.slice(2).toLowerCase(), g.key, g.up, g.down, g.total, g.downRate]);
+  }
+  return csv(rows);
+}
+
+/**
+ * Raw votes as CSV, one row per vote with the context flattened into ";"-separated lists
+ */
+export function feedbackCsv(records) {
+  const rows = [["at", "turnId", "sessionId", "rating", "reason", "comment", "question", "query", "retrieval", "model", "sources", "urls", "similarities"]];
+  for (const r of records) {
+    rows.push([
+      r.at, r.turnId, r.sessionId, r.rating, r.reason, r.comment, r.question, r.query, r.retrieval,
+      r.llm ? `${r.llm.provider}/${r.llm.model}` : "",
+      r.context.map((c) => c.source || sourceFromUrl(c.url)).join(";"),
+      r.context.map((c) => c.url).join(";"),
+      r.context.map((c) => (c.similarity == null ? "" : c.similarity.toFixed(3))).join(";"),
+    ]);
+  }
+  return csv(rows);
+}
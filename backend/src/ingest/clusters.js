@@ -0,0 +1,80 @@
+// Syndicated story clusters: copies of one story (wire pieces, pages declaring rel=canonical)
+// share a clusterId derived from a canonical article URL, so search can show them as one source
+import crypto from "crypto";
+import { minhash, estimateJaccard, lshBands } from "../lexical/neardup.js";
+
+// Estimated Jaccard similarity of 5-word shingles above which two articles are the same story
+export const DUPLICATE_THRESHOLD = Number(process.env.DEDUP_THRESHOLD ?? 0.8);
+
+/**
+ * Cluster ID for a canonical article URL - stable, so copies ingested in any order agree on it
+ */
+export const clusterIdFor = (canonicalUrl) => crypto.createHash("sha1").update(canonicalUrl).digest("hex").slice(0, 16);
+
+/**
+ * In-memory LSH index over article signatures, seeded with what's already stored
+ * entries: [{ url, minhash, clusterId, canonicalUrl }] - entries without a signature are ignored
+ */
+export function createClusterIndex(entries = []) {
+  const byUrl = new Map();
+  const buckets = new Map(); // LSH band -> Set of URLs
+
+  const remove = (url) => {
+    const entry = byUrl.get(url);
+    if (!entry) return;
+    lshBands(entry.minhash).forEach((band) => buckets.get(band)?.delete(url));
+    byUrl.delete(url);
+  };
+
+  const add = (entry) => {
+    remove(entry.url);
+    byUrl.set(entry.url, entry);
+    for (const band of lshBands(entry.minhash)) {
+      if (!buckets.has(band)) buckets.set(band, new Set());
+      buckets.get(band).add(entry.url);
+    }
+  };
+
+  entries.filter((e) => Array.isArray(e.minhash) && e.clusterId).forEach(add);
+
+  return {
+    /**
+     * Cluster an article and remember it for the articles after it
+     * A near-duplicate already stored wins, then the page's declared canonical URL, then the article itself.
+     * Synchronous on purpose: parallel workers can't both miss each other between lookup and insert.
+     * Returns { minhash, clusterId, canonicalUrl, duplicateOf, similarity }
+     */
+    assign(url, text, declaredCanonical) {
+      const signature = minhash(text);
+
+      let best = null;
+      let bestSimilarity = 0;
+      const seen = new Set([url]);
+      for (const band of lshBands(signature)) {
+        for (const other of buckets.get(band) || []) {
+          if (seen.has(other)) continue;
+          seen.add(other);
+          const similarity = estimateJaccard(signature, byUrl.get(other).minhash);
+          if (similarity > bestSimilarity) {
+            best = byUrl.get(other);
+            bestSimilarity = similarity;
+          }
+        }
+      }
+
+      let canonicalUrl = url;
+      let duplicateOf = null;
+      if (best && bestSimilarity >= DUPLICATE_THRESHOLD) {
+        canonicalUrl = best.canonicalUrl;
+        duplicateOf = best.url;
+      } else if (declaredCanonical && declaredCanonical !== url) {
+        // The page says it's a copy; join the cluster of the original if we hold it
+        canonicalUrl = byUrl.get(declaredCanonical)?.canonicalUrl || declaredCanonical;
+      }
+
+      const entry = { url, minhash: signature, clusterId: clusterIdFor(canonicalUrl), canonicalUrl };
+      add(entry);
+      return { ...entry, duplicateOf, similarity: duplicateOf ? bestSimilarity : null };
+    },
+  };
+}
@@ -0,0 +1,174 @@
+// Main-content extraction: per-publisher rules first, readability-style scoring as the fallback
+// Keeps paragraph structure (paragraphs are separated by blank lines) and scores how clean the result is
+import fs from "fs";
+import path from "path";
+import { sourceFromUrl } from "./metadata.js";
+
+// Per-domain rules: { "default": { drop }, "domains": { "example.com": { body, drop, paywall } } }
+const RULES_FILE = path.resolve(process.env.EXTRACTION_RULES_FILE || path.join("data", "extraction-rules.json"));
+
+// Page chrome removed everywhere before extraction
+const GLOBAL_DROP = [
+  "script", "style", "noscript", "iframe", "svg", "form", "button", "nav", "footer", "aside",
+  "[role='navigation']", "[role='banner']", "[role='contentinfo']", "[role='complementary']",
+  ".advertisement", ".ads", ".ad", ".sidebar", ".menu", ".navigation", ".social-share", ".comments",
+  ".related-articles", ".breadcrumb", "[class*='newsletter']", "[class*='ticker']",
+];
+
+// Text blocks we keep from the chosen content root
+const BLOCKS = "p, h2, h3, h4, li, blockquote, pre";
+
+// Class/id hints used to weight candidate containers
+const POSITIVE = /article|body|content|entry|main|story|text|post|detail/i;
+const NEGATIVE = /comment|footer|sidebar|widget|banner|ad[-_]|promo|related|share|social|subscribe|newsletter|ticker|market|nav|menu|trending|recommend|outbrain|taboola/i;
+
+// Lines that are boilerplate wherever they appear, when they make up the whole paragraph
+const BOILERPLATE_LINE = /^(advertisement|also read|read more|see also|share this( article)?|follow us on .*|subscribe( now)?|sign up for .*|click here.*|download the app.*|(\d+ )?comments?)\W*$/i;
+
+let rules = null;
+
+function loadRules() {
+  if (rules) return rules;
+  rules = fs.existsSync(RULES_FILE) ? JSON.parse(fs.readFileSync(RULES_FILE, "utf8")) : {};
+  return rules;
+}
+
+/**
+ * Rules for a URL's domain; "m.example.com" and "www.example.com" fall back to "example.com"
+ */
+export function rulesFor(url) {
+  const { domains = {}, default: defaults = {} } = loadRules();
+  let host = sourceFromUrl(url);
+  while (host) {
+    if (domains[host]) return { ...domains[host], drop: [...(defaults.drop || []), ...(domains[host].drop || [])], domain: host };
+    const dot = host.indexOf(".");
+    host = dot === -1 || host.indexOf(".", dot + 1) === -1 ? "" : host.slice(dot + 1);
+  }
+  return { drop: defaults.drop || [], domain: null };
+}
+
+// Collapse whitespace inside a paragraph; keeps every script and currency symbol
+const clean = (s) => s.replace(/\s+/g, " ").trim();
+
+const linkDensity = ($, el) => {
+  const total = $(el).text().length || 1;
+  const links = $(el).find("a").toArray().reduce((n, a) => n + $(a).text().length, 0);
+  return links / total;
+};
+
+/**
+ * Readability-style pick of the main container: every substantial paragraph scores its
+ * parent (fully) and grandparent (half) by length and commas; containers are then weighted
+ * by class/id hints and penalised for link-heavy content
+ */
+function findContentRoot($) {
+  const scores = new Map();
+  $("p").each((_, p) => {
+    const text = clean($(p).text());
+    if (text.length < 25) return;
+    const score = 1 + text.split(",").length + Math.min(Math.floor(text.length / 100), 3);
+    const parent = $(p).parent().get(0);
+    const grandparent = $(p).parent().parent().get(0);
+    if (parent) scores.set(parent, (scores.get(parent) || 0) + score);
+    if (grandparent) scores.set(grandparent, (scores.get(grandparent) || 0) + score / 2);
+  });
+
+  let best = null;
+  let bestScore = 0;
+  for (const [el, base] of scores) {
+    const hints = `${$(el).attr("class") || ""} ${$(el).attr("id") || ""}`;
+    let score = base;
+    if (POSITIVE.test(hints)) score += 25;
+    if (NEGATIVE.test(hints)) score -= 25;
+    score *= 1 - linkDensity($, el);
+    if (score > bestScore) {
+      best = el;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Paragraph texts under the given roots, in document order, without link lists and boilerplate
+ */
+function paragraphsOf($, roots) {
+  const out = [];
+  const seen = new Set();
+  for (const root of roots) {
+    const blocks = $(root).find(BLOCKS).toArray();
+    // A root with no block children (e.g. a bare text container) is one paragraph
+    const nodes = blocks.length ? blocks : [root];
+    for (const node of nodes) {
+      // Nested blocks (p inside li, li inside blockquote) are read once, from the innermost level
+      if (blocks.length && $(node).find(BLOCKS).length) continue;
+      const text = clean($(node).text());
+      if (!text || seen.has(text) || BOILERPLATE_LINE.test(text)) continue;
+      if (text.length < 80 && linkDensity($, node) > 0.5) continue;
+      seen.add(text);
+      out.push(text);
+    }
+  }
+  return out;
+}
+
+/**
+ * Detect a paywall from rule selectors or text markers ("text:Subscribe to continue")
+ */
+function isPaywalled($, markers = []) {
+  const body = markers.some((m) => m.startsWith("text:")) ? $("body").text() : "";
+  return markers.some((m) => (m.startsWith("text:") ? body.includes(m.slice(5)) : $(m).length > 0));
+}
+
+/**
+ * Extraction quality in [0, 1] with the reasons it was marked down
+ * Rewards enough words, several real paragraphs and little link text; paywalls cap it
+ */
+function qualityOf({ paragraphs, linkRatio, paywalled }) {
+  const words = paragraphs.join(" ").split(/\s+/).filter(Boolean).length;
+  const long = paragraphs.filter((p) => p.length >= 120).length;
+  const flags = [];
+
+  const lengthScore = Math.min(words / 300, 1);
+  const structureScore = Math.min(long / 4, 1);
+  const linkScore = 1 - Math.min(linkRatio * 2, 1);
+  let score = 0.45 * lengthScore + 0.35 * structureScore + 0.2 * linkScore;
+
+  if (words < 150) flags.push("short");
+  if (long < 2) flags.push("few-paragraphs");
+  if (linkRatio > 0.3) flags.push("link-heavy");
+  if (paywalled) {
+    flags.push("paywalled");
+    score = Math.min(score, 0.3);
+  }
+  return { score: Math.round(score * 100) / 100, words, paragraphs: paragraphs.length, flags };
+}
+
+/**
+ * Extract the article body from a loaded page
+ * Must run after metadata extraction - it removes <script> tags (JSON-LD) and page chrome.
+ * Returns { text, quality: { score, words, paragraphs, flags, method, domain } }
+ */
+export function extractContent($, url) {
+  const rule = rulesFor(url);
+  const paywalled = isPaywalled($, rule.paywall);
+
+  $([...GLOBAL_DROP, ...rule.drop].join(", ")).remove();
+
+  // Publisher rules first; an empty match (site redesign) falls through to the generic extractor
+  let method = "rules";
+  let roots = rule.body?.length ? $(rule.body.join(", ")).toArray() : [];
+  let paragraphs = roots.length ? paragraphsOf($, roots) : [];
+  if (!paragraphs.length) {
+    method = "readability";
+    const root = findContentRoot($) || $("article").get(0) || $("main").get(0) || $("body").get(0);
+    roots = root ? [root] : [];
+    paragraphs = paragraphsOf($, roots);
+  }
+
+  const textLength = roots.reduce((n, r) => n + $(r).text().length, 0) || 1;
+  const linkLength = roots.reduce((n, r) => n + $(r).find("a").text().length, 0);
+  const quality = qualityOf({ paragraphs, linkRatio: linkLength / textLength, paywalled });
+
+  return { text: paragraphs.join("\n\n"), quality: { ...quality, method, domain: rule.domain } };
+}
@@ -0,0 +1,263 @@
+// Polite fetch layer for ingestion: robots.txt, per-domain throttling, retries with backoff
+// and an on-disk HTTP cache revalidated with ETag / Last-Modified
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { http, USER_AGENT } from "./http.js";
+import { createLimiter } from "./limiter.js";
+import { log } from "../obs/logger.js";
+import { crawlRequests } from "../obs/metrics.js";
+
+// Requests in flight across all domains, and per domain
+export const CRAWL_CONCURRENCY = Number(process.env.CRAWL_CONCURRENCY ?? 4);
+const DOMAIN_CONCURRENCY = Number(process.env.CRAWL_DOMAIN_CONCURRENCY ?? 1);
+
+// Minimum gap between requests to one domain; a longer robots.txt Crawl-delay wins, up to the cap
+const DOMAIN_DELAY_MS = Number(process.env.CRAWL_DELAY_MS ?? 750);
+const MAX_CRAWL_DELAY_MS = 30000;
+
+// Retries for 429, 5xx and network errors; a Retry-After longer than the cap fails the URL instead
+const RETRIES = Number(process.env.CRAWL_RETRIES ?? 3);
+const RETRY_BASE_MS = 1000;
+const MAX_RETRY_AFTER_MS = 2 * 60 * 1000;
+const RETRYABLE_CODES = new Set(["ECONNRESET", "ETIMEDOUT", "ECONNABORTED", "EAI_AGAIN", "EPIPE"]);
+
+// Redirects followed per page; each hop is checked and throttled as a request of its own
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+// robots.txt is re-read after this long (one ingestion run rarely takes longer)
+const ROBOTS_TTL_MS = 60 * 60 * 1000;
+
+// Raw responses kept for conditional requests (HTTP_CACHE=off to disable)
+const CACHE_DIR = path.resolve(process.env.HTTP_CACHE_DIR || path.join("data", "http-cache"));
+const CACHE_ENABLED = process.env.HTTP_CACHE !== "off";
+
+// robots.txt groups are matched on the product token: "NewsRagBot/1.0 (...)" -> "newsragbot"
+const AGENT_TOKEN = USER_AGENT.split(/[/\s]/)[0].toLowerCase();
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+const globalLimit = createLimiter(CRAWL_CONCURRENCY);
+const domains = new Map(); // host -> { limit, nextAt, crawlDelay }
+const robotsCache = new Map(); // origin -> { fetchedAt, promise }
+
+function domainState(host) {
+  if (!domains.has(host)) domains.set(host, { limit: createLimiter(DOMAIN_CONCURRENCY), nextAt: 0, crawlDelay: 0 });
+  return domains.get(host);
+}
+
+// ---- robots.txt ----
+
+/**
+ * Parse robots.txt into the rules and crawl delay that apply to `agent`
+ * Groups naming the agent win over "*"; several matching groups are combined (RFC 9309)
+ */
+export function parseRobots(text, agent = AGENT_TOKEN) {
+  const groups = [];
+  let current = null;
+  let inAgentLines = false;
+
+  for (const raw of String(text || "").split(/\r?\n/)) {
+    const line = raw.replace(/#.*/, "").trim();
+    const colon = line.indexOf(":");
+    if (colon === -1) continue;
+    const key = line.slice(0, colon).trim().toLowerCase();
+    const value = line.slice(colon + 1).trim();
+
+    if (key === "user-agent") {
+      // Consecutive User-agent lines share one group
+      if (!inAgentLines) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      // Only the product token counts: "NewsBot/1.0" names the crawler "newsbot"
+      current.agents.push(value.split(/[/\s]/)[0].toLowerCase());
+      inAgentLines = true;
+      continue;
+    }
+    inAgentLines = false;
+    if (!current) continue;
+
+    // An empty Disallow allows everything, which is the default anyway
+    if ((key === "allow" || key === "disallow") && value) current.rules.push({ allow: key === "allow", path: value });
+    if (key === "crawl-delay" && Number(value) >= 0) current.crawlDelay = Number(value) * 1000;
+  }
+
+  // Product tokens match exactly, ignoring case - "bot" must not pick up the rules for "newsbot"
+  const token = String(agent).toLowerCase();
+  const named = groups.filter((g) => g.agents.some((a) => a !== "*" && a === token));
+  const chosen = named.length ? named : groups.filter((g) => g.agents.includes("*"));
+  const delays = chosen.map((g) => g.crawlDelay).filter((d) => d != null);
+  return { rules: chosen.flatMap((g) => g.rules), crawlDelay: delays.length ? Math.max(...delays) : 0 };
+}
+
+// Robots path pattern -> RegExp ("*" matches anything, a trailing "$" anchors the end)
+const patternRe = (pattern) =>
+  new RegExp(`^${pattern.replace(/[.+?^{}()|[\]\\$]/g, "\\$&").replace(/\*/g, ".*").replace(/\\\$$/, "$")}`);
+
+/**
+ * Whether a path (with query string) may be fetched: the longest matching rule wins, Allow on ties
+ */
+export function isAllowed(robots, pathAndQuery) {
+  let best = null;
+  for (const rule of robots.rules) {
+    if (!patternRe(rule.path).test(pathAndQuery)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) best = rule;
+  }
+  return !best || best.allow;
+}
+
+/**
+ * robots.txt for an origin, cached for ROBOTS_TTL_MS
+ * Missing (4xx) means everything is allowed; unreachable (5xx, network error) means nothing is
+ */
+function robotsFor(origin) {
+  const cached = robotsCache.get(origin);
+  if (cached && Date.now() - cached.fetchedAt < ROBOTS_TTL_MS) return cached.promise;
+
+  const promise = http
+    .get(`${origin}/robots.txt`, { responseType: "text", validateStatus: () => true, maxRedirects: 5 })
+    .then((res) => {
+      if (res.status >= 200 && res.status < 300) return parseRobots(res.data);
+      if (res.status < 500) return { rules: [], crawlDelay: 0 };
+      log.warn("robots.txt unreachable, not crawling this site", { origin, status: res.status });
+      return { rules: [{ allow: false, path: "/" }], crawlDelay: 0 };
+    })
+    .catch((e) => {
+      log.warn("robots.txt unreachable, not crawling this site", { origin, error: e.message });
+      return { rules: [{ allow: false, path: "/" }], crawlDelay: 0 };
+    });
+  robotsCache.set(origin, { fetchedAt: Date.now(), promise });
+  return promise;
+}
+
+// ---- Disk cache ----
+
+const cacheFile = (url, ext) =>
+  path.join(CACHE_DIR, `${crypto.createHash("sha256").update(url).digest("hex").slice(0, 40)}.${ext}`);
+
+function readCache(url) {
+  if (!CACHE_ENABLED) return null;
+  try {
+    const meta = JSON.parse(fs.readFileSync(cacheFile(url, "json"), "utf8"));
+    return { meta, body: fs.readFileSync(cacheFile(url, "body"), "utf8") };
+  } catch {
+    return null;
+  }
+}
+
+function writeCache(url, meta, body) {
+  if (!CACHE_ENABLED) return;
+  try {
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    fs.writeFileSync(cacheFile(url, "body"), body);
+    fs.writeFileSync(cacheFile(url, "json"), JSON.stringify({ url, ...meta, fetchedAt: new Date().toISOString() }));
+  } catch (e) {
+    log.warn("Could not write HTTP cache entry", { url, error: e.message });
+  }
+}
+
+// ---- Fetching ----
+
+// Retry-After is either seconds or an HTTP date
+function retryAfterMs(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const at = Date.parse(header);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+const isRetryable = (e) =>
+  e.response ? e.response.status === 429 || e.response.status >= 500 : RETRYABLE_CODES.has(e.code);
+
+/**
+ * One request, scheduled politely: wait for a slot on the domain and its delay, then for a global slot
+ */
+function scheduled(host, fn) {
+  const domain = domainState(host);
+  return domain.limit(async () => {
+    const wait = domain.nextAt - Date.now();
+    if (wait > 0) await sleep(wait);
+    domain.nextAt = Date.now() + Math.max(DOMAIN_DELAY_MS, domain.crawlDelay);
+    return globalLimit(fn);
+  });
+}
+
+/**
+ * One hop of fetchPage: robots.txt, throttling, retries and the HTTP cache for a single URL
+ * Redirects aren't followed here - a 3xx comes back as { redirect } with the Location header
+ */
+async function fetchOnce(url) {
+  const { origin, host, pathname, search } = new URL(url);
+
+  const robots = await robotsFor(origin);
+  if (!isAllowed(robots, `${pathname}${search}`)) {
+    crawlRequests.inc({ result: "robots_disallowed" });
+    throw Object.assign(new Error(`robots.txt disallows ${url} for ${AGENT_TOKEN}`), { code: "ROBOTS_DISALLOWED" });
+  }
+  domainState(host).crawlDelay = Math.min(robots.crawlDelay, MAX_CRAWL_DELAY_MS);
+
+  const cached = readCache(url);
+  const headers = {};
+  if (cached?.meta.etag) headers["If-None-Match"] = cached.meta.etag;
+  if (cached?.meta.lastModified) headers["If-Modified-Since"] = cached.meta.lastModified;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const res = await scheduled(host, () =>
+        http.get(url, { headers, responseType: "text", maxRedirects: 0, validateStatus: (s) => (s >= 200 && s < 400) })
+      );
+
+      if (res.status === 304 && cached) {
+        crawlRequests.inc({ result: "not_modified" });
+        return { body: cached.body, status: 304, notModified: true };
+      }
+      if (REDIRECT_STATUSES.has(res.status) && res.headers.location) {
+        crawlRequests.inc({ result: "redirected" });
+        return { redirect: res.headers.location };
+      }
+      if (res.status >= 300) throw Object.assign(new Error(`Unexpected ${res.status} for ${url}`), { response: res });
+
+      const body = String(res.data ?? "");
+      const etag = res.headers.etag || null;
+      const lastModified = res.headers["last-modified"] || null;
+      if (etag || lastModified) writeCache(url, { etag, lastModified }, body);
+      crawlRequests.inc({ result: "fetched" });
+      return { body, status: res.status, notModified: false };
+    } catch (e) {
+      const after = retryAfterMs(e.response?.headers?.["retry-after"]);
+      if (attempt >= RETRIES || !isRetryable(e) || (after != null && after > MAX_RETRY_AFTER_MS)) {
+        crawlRequests.inc({ result: "failed" });
+        throw e;
+      }
+
+      const delay = after ?? RETRY_BASE_MS * 2 ** attempt + Math.random() * 250;
+      // A 429 slows down every request to that domain, not just this one
+      if (e.response?.status === 429) domainState(host).nextAt = Math.max(domainState(host).nextAt, Date.now() + delay);
+      crawlRequests.inc({ result: "retried" });
+      log.warn("Fetch failed, retrying", { url, attempt: attempt + 1, status: e.response?.status, code: e.code, delayMs: Math.round(delay) });
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Fetch a URL as text through robots.txt, throttling, retries and the HTTP cache
+ * Redirects are followed one hop at a time, and every hop goes through robots.txt and the
+ * per-domain limiter of its own host, so a redirect can't lead the crawler somewhere it may not go
+ * Returns { url, finalUrl, body, status, notModified } - notModified means the cached body was revalidated (304)
+ * Throws an Error with code "ROBOTS_DISALLOWED" if robots.txt doesn't allow the URL or a redirect target
+ */
+export async function fetchPage(url) {
+  let current = url;
+  for (let hop = 0; ; hop++) {
+    const res = await fetchOnce(current);
+    if (!res.redirect) return { url, finalUrl: current, ...res };
+    if (hop >= MAX_REDIRECTS) throw new Error(`More than ${MAX_REDIRECTS} redirects fetching ${url}`);
+    const next = new URL(res.redirect, current);
+    if (!["http:", "https:"].includes(next.protocol)) throw new Error(`Redirect from ${current} to a non-http URL`);
+    current = next.href;
+  }
+}
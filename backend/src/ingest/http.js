@@ -0,0 +1,15 @@
+import axios from "axios";
+
+// User agent sent with every crawler request and matched against robots.txt groups
+// (by its product token, "NewsRagBot" for the default); CRAWLER_USER_AGENT to override
+export const USER_AGENT = process.env.CRAWLER_USER_AGENT || "NewsRagBot/1.0 (news RAG ingestion)";
+
+// Shared HTTP client for scraping articles and fetching feeds/sitemaps
+// Goes through fetcher.js for robots.txt, throttling, retries and caching
+export const http = axios.create({
+  timeout: 30000, // 30 second timeout
+  headers: {
+    "User-Agent": USER_AGENT,
+    "Accept-Language": "en-US,en;q=0.9",
+  },
+});
@@ -0,0 +1,27 @@
+// Concurrency limiter shared by the crawler and the ingestion pipeline
+
+/**
+ * Create a limiter that runs at most `max` tasks at once; the rest wait in FIFO order
+ * Usage: const limit = createLimiter(4); await limit(() => work());
+ */
+export function createLimiter(max) {
+  let active = 0;
+  const waiting = [];
+
+  // A finished task hands its slot straight to the next waiter, so nobody can jump the queue
+  const release = () => {
+    const next = waiting.shift();
+    if (next) next();
+    else active--;
+  };
+
+  return async (fn) => {
+    if (active >= max) await new Promise((resolve) => waiting.push(resolve));
+    else active++;
+    try {
+      return await fn();
+    } finally {
+      release();
+    }
+  };
+}
@@ -0,0 +1,88 @@
+// Extract article metadata (dates, author, section, publisher) from a scraped page
+
+// Schema.org types that describe a news story
+const ARTICLE_TYPES = /^(NewsArticle|Article|ReportageNewsArticle|AnalysisNewsArticle|BlogPosting)$/i;
+
+// Hostname without "www." - used as the source identifier (e.g. "livemint.com")
+export const sourceFromUrl = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "").toLowerCase();
+  } catch {
+    return "";
+  }
+};
+
+// Normalize any date string to ISO-8601, or null if it can't be parsed
+const toIso = (s) => {
+  const t = Date.parse(String(s || "").trim());
+  return Number.isNaN(t) ? null : new Date(t).toISOString();
+};
+
+// JSON-LD values can be a string, an object with a name, or an array of either
+const nameOf = (v) => {
+  if (!v) return "";
+  if (Array.isArray(v)) return v.map(nameOf).filter(Boolean).join(", ");
+  if (typeof v === "string") return v.trim();
+  return String(v.name || "").trim();
+};
+
+/**
+ * Find the first NewsArticle-like object in the page's JSON-LD blocks
+ * Handles single objects, arrays and @graph containers
+ */
+function findJsonLdArticle($) {
+  const queue = [];
+  $("script[type='application/ld+json']").each((_, el) => {
+    try {
+      queue.push(JSON.parse($(el).contents().text()));
+    } catch {
+      // Publishers sometimes ship broken JSON-LD - just ignore it
+    }
+  });
+
+  while (queue.length) {
+    const node = queue.shift();
+    if (!node || typeof node !== "object") continue;
+    if (Array.isArray(node)) {
+      queue.push(...node);
+      continue;
+    }
+    if (Array.isArray(node["@graph"])) queue.push(...node["@graph"]);
+    const types = [].concat(node["@type"] || []);
+    if (types.some((t) => ARTICLE_TYPES.test(String(t)))) return node;
+  }
+  return null;
+}
+
+/**
+ * Extract metadata from JSON-LD first, then `article:*` / Open Graph meta tags, then the domain
+ * Must be called before <script> tags are stripped from the page
+ */
+export function extractMetadata($, url) {
+  const ld = findJsonLdArticle($) || {};
+  const meta = (prop) =>
+    $(`meta[property='${prop}']`).attr("content") || $(`meta[name='${prop}']`).attr("content") || "";
+
+  const source = sourceFromUrl(url);
+  const publishedAt = toIso(ld.datePublished) || toIso(meta("article:published_time")) || toIso(meta("pubdate"));
+  const modifiedAt = toIso(ld.dateModified) || toIso(meta("article:modified_time")) || publishedAt;
+  const section = nameOf(ld.articleSection) || meta("article:section");
+
+  return {
+    source,
+    publisher: nameOf(ld.publisher) || meta("og:site_name") || source,
+    author: nameOf(ld.author) || meta("article:author") || meta("author"),
+    // Lowercased so category filters don't depend on each publisher's capitalization
+    category: section.split(",")[0].trim().toLowerCase(),
+    publishedAt,
+    modifiedAt,
+    // Unix seconds, used for date range filters in Qdrant
+    publishedTs: publishedAt ? Math.floor(Date.parse(publishedAt) / 1000) : null,
+    // Declared language tag ("hi-IN"); the pipeline checks it against the text itself
+    language:
+      (typeof ld.inLanguage === "string" ? ld.inLanguage : ld.inLanguage?.alternateName) ||
+      $("html").attr("lang") ||
+      meta("og:locale") ||
+      "",
+  };
+}
@@ -0,0 +1,551 @@
+// Ingestion pipeline: scrape -> chunk -> embed -> upsert
+// Shared by the `npm run ingest` CLI (ingest.js) and the admin ingestion jobs
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import * as cheerio from "cheerio";
+import { v5 as uuidv5 } from "uuid";
+import { embedMany, getDimension, embeddingModelId, EMBED_PROVIDER } from "../embed/index.js";
+import { fetchPage, CRAWL_CONCURRENCY } from "./fetcher.js";
+import { createLimiter } from "./limiter.js";
+import { extractMetadata } from "./metadata.js";
+import { extractContent } from "./extract.js";
+import {
+  ensureCollection,
+  upsertPoints,
+  deleteCollection,
+  getCollectionInfo,
+  getPoints,
+  deleteStaleChunks,
+  deleteByUrls,
+  listUrls,
+  ageFilter,
+  scrollAll,
+  listArticleFields,
+  setPayload,
+} from "../vecdb/index.js";
+import { createClusterIndex } from "./clusters.js";
+import { buildIndex, saveIndex } from "../lexical/bm25.js";
+import { detectLanguage } from "../lang/language.js";
+import { log } from "../obs/logger.js";
+import { ingestArticles, ingestChunks } from "../obs/metrics.js";
+
+// Configuration constants
+export const COLLECTION = process.env.QDRANT_COLLECTION || "news";
+export const DATA_DIR = path.resolve("data");
+export const OUT_JSONL = path.join(DATA_DIR, "news.jsonl");
+
+// Last ingestion outcome per URL (ingested, unchanged, skipped as too short, failed and why)
+const STATUS_FILE = path.join(DATA_DIR, "ingest-status.json");
+
+// Static list of article URLs, one per line
+export const URLS_FILE = path.join(DATA_DIR, "urls.txt");
+
+// Pages whose extraction quality (0-1, see extract.js) is below this are flagged and not ingested
+const MIN_QUALITY = Number(process.env.EXTRACTION_MIN_QUALITY ?? 0.4);
+
+// Chunk size and overlap in characters (re-ingest with --full after changing them)
+export const CHUNK_SIZE = Number(process.env.CHUNK_SIZE ?? 1500);
+export const CHUNK_OVERLAP = Number(process.env.CHUNK_OVERLAP ?? 150);
+// Longest article we embed, in chunks; the rest of a longer article is dropped with a warning
+const MAX_CHUNKS_PER_ARTICLE = Number(process.env.MAX_CHUNKS_PER_ARTICLE ?? 30);
+
+// Pause after each embedding batch to stay under API rate limits; the offline embedder has none
+const EMBED_DELAY_MS = EMBED_PROVIDER === "local" ? 0 : 500;
+
+// Characters that end a sentence, used to pick chunk boundaries
+const SENTENCE_ENDS = [".", "!", "?", "।", "॥", "。"];
+
+// Fixed namespace so the same URL + chunk index always maps to the same point ID
+const POINT_NAMESPACE = "6f1c2a52-3c1e-4d8e-9a57-2b8f0e4c9d11";
+
+// --- Utility helper functions ---
+// Sleep function for rate limiting API calls
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Split an array into smaller chunks of specified size
+const chunkArray = (arr, size) => {
+  const out = [];
+  for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
+  return out;
+};
+
+// Articles are fetched CRAWL_CONCURRENCY at a time, but embedded one at a time so the
+// embedding provider sees the same load as before
+const embedLimit = createLimiter(1);
+
+// Stable Qdrant point ID for chunk `idx` of an article (Qdrant only accepts UUIDs or integers)
+const pointId = (url, idx) => uuidv5(`${url}#${idx}`, POINT_NAMESPACE);
+
+// Content hash used to detect articles whose text hasn't changed since the last run
+const contentHash = (doc) =>
+  crypto.createHash("sha256").update(JSON.stringify([doc.title, doc.text, doc.meta])).digest("hex");
+
+/**
+ * Read the JSONL backup grouped by URL
+ * Lets us keep the lines of articles we don't touch without re-fetching them from Qdrant
+ */
+function readJsonl() {
+  const byUrl = new Map();
+  if (!fs.existsSync(OUT_JSONL)) return byUrl;
+  for (const line of fs.readFileSync(OUT_JSONL, "utf8").split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    try {
+      const rec = JSON.parse(line);
+      if (!byUrl.has(rec.url)) byUrl.set(rec.url, []);
+      byUrl.get(rec.url).push(line);
+    } catch {}
+  }
+  return byUrl;
+}
+
+/**
+ * Last recorded ingestion outcome per URL: { [url]: { status, title, chunks, reason, at } }
+ */
+export function readIngestStatus() {
+  if (!fs.existsSync(STATUS_FILE)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(STATUS_FILE, "utf8"));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Smart text chunking strategy that tries to break at paragraph or sentence boundaries
+ * This creates better chunks for embedding and retrieval
+ */
+export function chunkText(text, maxChars = CHUNK_SIZE, overlap = CHUNK_OVERLAP) {
+  const chunks = [];
+  let i = 0;
+  let chunkCount = 0;
+  
+  while (i < text.length && chunkCount < MAX_CHUNKS_PER_ARTICLE) {
+    let end = Math.min(text.length, i + maxChars);
+    
+    // Try to break at a paragraph, then a sentence boundary for better chunk quality
+    const lastParagraph = end < text.length ? text.lastIndexOf('\n\n', end) : -1;
+    if (lastParagraph > i + maxChars * 0.7) {
+      end = lastParagraph;
+    } else if (end < text.length) {
+      // "।" (danda) ends sentences in Hindi and other Indian languages
+      const lastSentenceEnd = Math.max(...SENTENCE_ENDS.map((c) => text.lastIndexOf(c, end)));
+      
+      // If we found a sentence end within reasonable distance, use it
+      if (lastSentenceEnd > i + maxChars * 0.7) {
+        end = lastSentenceEnd + 1;
+      }
+    }
+    
+    const chunk = text.slice(i, end).trim();
+    if (chunk.length > 100) { // Only keep substantial chunks
+      chunks.push(chunk);
+    }
+    
+    // Stop at the end of the text - stepping back by the overlap would repeat the tail forever
+    if (end >= text.length) break;
+    
+    // Move to next chunk with overlap for context continuity
+    i = end - overlap;
+    if (i < 0) i = 0;
+    chunkCount++;
+  }
+  
+  if (chunkCount >= MAX_CHUNKS_PER_ARTICLE) {
+    log.warn("Article truncated at MAX_CHUNKS_PER_ARTICLE", { chunks: chunks.length, textLength: text.length, keptChars: i });
+  }
+  log.debug("Chunked text", { chunks: chunks.length, textLength: text.length });
+  return chunks.filter(Boolean);
+}
+
+/**
+ * Scrape a single URL and extract the main article content
+ * See extract.js for the per-publisher rules and the generic fallback
+ */
+async function scrapeOnce(url) {
+  const { body: html } = await fetchPage(url);
+  const $ = cheerio.load(html);
+
+  // The page's own pointer to its AMP version, if it has one
+  const amphtml = $("link[rel='amphtml']").attr("href");
+  const ampUrl = amphtml ? new URL(amphtml, url).href : null;
+
+  // Syndicated copies and AMP pages point at the original with rel=canonical
+  const canonical = $("link[rel='canonical']").attr("href");
+  const canonicalUrl = canonical ? new URL(canonical, url).href : null;
+
+  // Extract title from various meta tags and headings
+  const title =
+    $("meta[property='og:title']").attr("content") ||
+    $("h1").first().text().trim() ||
+    $("title").first().text().trim();
+
+  // Dates, author, section and publisher - read before scripts (JSON-LD) are removed
+  const meta = extractMetadata($, url);
+
+  // Main content via the publisher's rules or readability-style scoring, with a quality score
+  const { text, quality } = extractContent($, url);
+
+  // Stored per chunk so searches can be narrowed to a language
+  const language = detectLanguage(text, meta.language);
+  
+  return { url, title, text, meta: { ...meta, language }, quality, ampUrl, canonicalUrl };
+}
+
+/**
+ * Scrape a URL with fallback to its AMP version if content is too short or poorly extracted
+ * AMP pages are only tried when the article links to one (<link rel="amphtml">)
+ */
+export async function scrape(url) {
+  // Try the original URL first
+  let doc = await scrapeOnce(url);
+  if (doc.text.length >= 500 && doc.quality.score >= MIN_QUALITY) return doc;
+  if (!doc.ampUrl || doc.ampUrl === url) return doc;
+
+  // If content is too short, try the AMP version
+  try {
+    const ampDoc = await scrapeOnce(doc.ampUrl);
+    if (ampDoc.quality.score > doc.quality.score) doc = { ...ampDoc, ampUrl: doc.ampUrl, canonicalUrl: doc.canonicalUrl };
+  } catch (e) {
+    log.debug("AMP fallback failed", { url, ampUrl: doc.ampUrl, error: e.message });
+  }
+  return doc;
+}
+
+// Points ingested before we recorded the model were all embedded with Jina
+const LEGACY_EMBED_MODEL = "jina:jina-embeddings-v2-base-en";
+
+/**
+ * Refuse to add vectors from one embedding model to a collection built with another
+ * Mixed vectors make similarity scores meaningless; a --full rebuild is needed to switch models
+ */
+async function assertCompatibleCollection(dim, model) {
+  const info = await getCollectionInfo(COLLECTION);
+  if (!info || !info.points) return;
+
+  const stored = info.embedModel || LEGACY_EMBED_MODEL;
+  if (info.dim !== dim || stored !== model) {
+    throw new Error(
+      `Collection "${COLLECTION}" holds ${info.dim}-d vectors from ${stored}, but the configured embedder is ${model} (${dim}-d). ` +
+      `Run "npm run ingest -- --full" to rebuild it with the new model.`
+    );
+  }
+}
+
+/**
+ * Make sure the collection exists and matches the configured embedder
+ * With `full`, the collection is wiped first
+ */
+async function prepareCollection({ full }) {
+  // Get embedding dimensions for our vector database
+  const dim = await getDimension();
+  const embedModel = embeddingModelId();
+  log.info("Embedding model", { embedModel, dim });
+  
+  if (!full) await assertCompatibleCollection(dim, embedModel);
+  
+  if (full) {
+    // Clear existing collection for fresh ingestion
+    log.info("Full rebuild requested, clearing existing collection", { collection: COLLECTION });
+    await deleteCollection(COLLECTION);
+  }
+  
+  // Create the collection with the correct dimensions (no-op if it already exists)
+  await ensureCollection(COLLECTION, dim);
+  return { dim, embedModel };
+}
+
+/**
+ * Embed an article's chunks in small groups to avoid rate limits
+ */
+async function embedChunks(url, chunks) {
+  const vectors = [];
+  for (const group of chunkArray(chunks, 4)) { 
+    log.debug("Embedding group", { url, size: group.length });
+    try {
+      // The rate limiting delay is taken inside the limiter so parallel articles don't skip it
+      const v = await embedLimit(async () => {
+        const out = await embedMany(group);
+        if (EMBED_DELAY_MS) await sleep(EMBED_DELAY_MS);
+        return out;
+      });
+      vectors.push(...v);
+    } catch (embedError) {
+      log.warn("Embedding error", { url, error: embedError.message });
+      throw embedError;
+    }
+    // Force garbage collection if available
+    if (global.gc) global.gc();
+  }
+  return vectors;
+}
+
+/**
+ * Scrape, chunk, embed and store one article
+ * Returns { status: "embedded" | "unchanged" | "skipped-robots" | "skipped-expired" | "skipped-too-short" | "skipped-low-quality", title, chunks, quality, duplicateOf, payloads }
+ * `onStatus` is told when the article has been scraped, before the slow embedding step
+ * `clusters` links the article to earlier copies of the same story (see clusters.js)
+ */
+async function ingestArticle(url, { full, embedModel, onStatus, expireBefore, clusters }) {
+  // Scrape the article content; robots.txt may rule the page out
+  let doc;
+  try {
+    doc = await scrape(url);
+  } catch (e) {
+    if (e.code !== "ROBOTS_DISALLOWED") throw e;
+    log.info("Skip (disallowed by robots.txt)", { url });
+    return { status: "skipped-robots", title: null, chunks: 0, reason: e.message };
+  }
+  log.info("Scraped", { url, title: doc.title, textLength: doc.text?.length || 0 });
+  onStatus?.({ status: "scraped", title: doc.title, textLength: doc.text?.length || 0 });
+  
+  // Skip articles that are too short (likely not real content)
+  if (!doc.text || doc.text.length < 500) {
+    log.info("Skip (too short)", { url });
+    return { status: "skipped-too-short", title: doc.title, chunks: 0, reason: `text too short (${doc.text?.length || 0} chars)` };
+  }
+
+  // Junk pages (paywalls, link lists, page chrome) are flagged rather than ingested
+  if (doc.quality.score < MIN_QUALITY) {
+    const reason = `low extraction quality ${doc.quality.score} (${doc.quality.flags.join(", ") || "no flags"})`;
+    log.warn("Skip (low extraction quality)", { url, quality: doc.quality });
+    return { status: "skipped-low-quality", title: doc.title, chunks: 0, reason, quality: doc.quality };
+  }
+
+  // Articles already past the retention window would only be expired again on the next run
+  if (expireBefore && doc.meta.publishedTs != null && doc.meta.publishedTs < expireBefore) {
+    log.info("Skip (older than the retention window)", { url, publishedAt: doc.meta.publishedAt });
+    return { status: "skipped-expired", title: doc.title, chunks: 0, reason: `published ${doc.meta.publishedAt}` };
+  }
+
+  // Skip the expensive embedding step if the article hasn't changed since last time
+  const hash = contentHash(doc);
+  if (!full) {
+    const [first] = await getPoints(COLLECTION, [pointId(url, 0)]);
+    if (first?.hash === hash) {
+      log.info("Unchanged, skipping", { url });
+      // Articles stored before story clusters existed get one without being embedded again
+      if (!first.clusterId) {
+        const { minhash, clusterId, canonicalUrl } = clusters.assign(url, doc.text, doc.canonicalUrl);
+        await setPayload(COLLECTION, { clusterId, canonicalUrl }, { url });
+        await setPayload(COLLECTION, { minhash }, { ids: [pointId(url, 0)] });
+      }
+      return { status: "unchanged", title: doc.title, chunks: null, quality: doc.quality };
+    }
+  }
+
+  // Link syndicated copies before the slow embedding step, so a copy in another worker finds this one
+  const cluster = clusters.assign(url, doc.text, doc.canonicalUrl);
+  if (cluster.duplicateOf) {
+    log.info("Near-duplicate of a stored article", { url, duplicateOf: cluster.duplicateOf, similarity: cluster.similarity });
+  }
+
+  // Break the article into chunks for better retrieval
+  const chunks = chunkText(doc.text);
+  log.debug("Chunks", { url, textLength: doc.text.length, chunks: chunks.length, firstChunkLength: chunks[0]?.length || 0 });
+  
+  const vectors = await embedChunks(url, chunks);
+
+  // Create points for the vector database
+  // IDs are derived from URL + chunk index so re-ingesting overwrites instead of duplicating.
+  // We store the URL we were given (not a possible AMP fallback) so later runs can find it again.
+  const ingestedAt = new Date().toISOString();
+  const ingestedTs = Math.floor(Date.parse(ingestedAt) / 1000);
+  const points = chunks.map((chunk, idx) => ({
+    id: pointId(url, idx),
+    vector: vectors[idx],
+    payload: {
+      url, title: doc.title, text: chunk, chunk: idx, chunkCount: chunks.length, hash, embedModel, ingestedAt, ingestedTs,
+      quality: doc.quality.score, ...doc.meta,
+      clusterId: cluster.clusterId, canonicalUrl: cluster.canonicalUrl,
+      // The article's MinHash signature, for matching later copies; chunk 0 stands for the article
+      ...(idx === 0 && { minhash: cluster.minhash }),
+    },
+  }));
+
+  // Store in vector database, then drop chunks left over from an older (longer) version
+  await upsertPoints(COLLECTION, points);
+  await deleteStaleChunks(COLLECTION, url, hash);
+
+  log.info("Ingested", { url, title: doc.title, chunks: points.length });
+  ingestChunks.inc(points.length);
+  return {
+    status: "embedded",
+    title: doc.title,
+    chunks: points.length,
+    quality: doc.quality,
+    duplicateOf: cluster.duplicateOf,
+    payloads: points.map((p) => p.payload),
+  };
+}
+
+/**
+ * Run the pipeline over a list of article URLs
+ * This is the data pipeline that scrapes, chunks, embeds, and stores news articles
+ *
+ * Options:
+ *   full     - wipe the collection and rebuild from these URLs only
+ *   prune    - delete stored articles that are not in `urls`
+ *   retentionDays - delete stored articles older than this many days (by publish date, else
+ *              ingest date) and don't add old ones back; 0 keeps everything
+ *   signal   - AbortSignal; checked between URLs so a run can be cancelled
+ *   onProgress(url, update) - called with { status, title, chunks, reason } as each URL moves along
+ *
+ * Afterwards the keyword index and the JSONL backup are refreshed from what's stored.
+ * Returns counts per outcome. Expired URLs are reported through onProgress with status "expired".
+ */
+export async function runIngestion(urls, { full = false, prune = false, retentionDays = 0, signal, onProgress } = {}) {
+  // Create data directory if it doesn't exist
+  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+
+  const { embedModel } = await prepareCollection({ full });
+
+  // JSONL backup grouped by URL; entries are replaced as articles are re-ingested
+  const backup = full ? new Map() : readJsonl();
+  const statuses = full ? {} : readIngestStatus();
+
+  // Articles that were dropped from the URL list shouldn't keep answering questions
+  if (prune && !full) {
+    const wanted = new Set(urls);
+    const removed = (await listUrls(COLLECTION)).filter((u) => !wanted.has(u));
+    if (removed.length) {
+      log.info("Removing articles no longer in the URL list", { count: removed.length });
+      await deleteByUrls(COLLECTION, removed);
+      removed.forEach((u) => {
+        backup.delete(u);
+        delete statuses[u];
+      });
+    }
+  }
+
+  const summary = { embedded: 0, duplicates: 0, unchanged: 0, skipped: 0, failed: 0, expired: 0, cancelled: false };
+  const record = (url, { status, title = null, chunks = null, reason = null, quality = null }) => {
+    statuses[url] = { status, title, chunks, reason, quality, at: new Date().toISOString() };
+  };
+
+  // News ages out: drop articles past the retention window before anything is re-ingested
+  const expireBefore = retentionDays > 0 ? Math.floor(Date.now() / 1000) - retentionDays * 24 * 60 * 60 : null;
+  if (expireBefore && !full) {
+    const expired = await listUrls(COLLECTION, ageFilter({ olderThan: expireBefore }));
+    if (expired.length) {
+      log.info("Expiring articles past the retention window", { count: expired.length, retentionDays });
+      await deleteByUrls(COLLECTION, expired);
+      expired.forEach((u) => {
+        backup.delete(u);
+        record(u, { status: "expired", reason: `older than ${retentionDays} days` });
+        onProgress?.(u, { status: "expired" });
+      });
+      summary.expired = expired.length;
+    }
+  }
+
+  // Signatures of the stored articles, so new copies of a story join its cluster
+  const clusters = createClusterIndex(full ? [] : await listArticleFields(COLLECTION, ["url", "minhash", "clusterId", "canonicalUrl"]));
+
+  // Process the URLs with a bounded pool of workers, remembering how each one went
+  // Politeness per domain (robots.txt, crawl delay, one request at a time) is handled by fetcher.js
+  const processUrl = async (url, i) => {
+    log.info("Fetching", { url, index: i + 1, total: urls.length });
+
+    try {
+      const result = await ingestArticle(url, {
+        full,
+        embedModel,
+        expireBefore,
+        clusters,
+        onStatus: (update) => onProgress?.(url, update),
+      });
+      const { payloads, ...update } = result;
+      onProgress?.(url, update);
+      ingestArticles.inc({ status: result.status });
+      record(url, update);
+
+      if (result.status === "embedded") {
+        summary.embedded++;
+        if (result.duplicateOf) summary.duplicates++;
+        // Also save to JSONL file for backup/debugging
+        backup.set(url, payloads.map((p) => JSON.stringify(p)));
+      } else if (result.status === "unchanged") {
+        summary.unchanged++;
+      } else {
+        summary.skipped++;
+      }
+    } catch (e) {
+      // Whatever we had for this article stays in the collection and the backup
+      log.warn("Error for URL", { url, error: e.message });
+      ingestArticles.inc({ status: "failed" });
+      onProgress?.(url, { status: "failed", reason: e.message });
+      record(url, { status: "failed", reason: e.message });
+      summary.failed++;
+    }
+
+    // Optional garbage collection (only if node started with --expose-gc)
+    if (global.gc) global.gc();
+  };
+
+  let next = 0;
+  const worker = async () => {
+    while (next < urls.length && !signal?.aborted) {
+      const i = next++;
+      await processUrl(urls[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(CRAWL_CONCURRENCY, urls.length) }, worker));
+  if (signal?.aborted && next < urls.length) summary.cancelled = true;
+
+  // Rebuild the keyword (BM25) index from the collection so hybrid search stays in sync with Qdrant
+  const stored = await scrollAll(COLLECTION);
+  saveIndex(buildIndex(stored));
+  log.info("Keyword index rebuilt", { chunks: stored.length });
+
+  // Write the JSONL backup for everything that's now in the collection
+  const lines = [...backup.values()].flat();
+  fs.writeFileSync(OUT_JSONL, lines.length ? lines.join("\n") + "\n" : "");
+  fs.writeFileSync(STATUS_FILE, JSON.stringify(statuses, null, 2));
+
+  return summary;
+}
+
+/**
+ * Load the JSONL backup (data/news.jsonl) into the vector store, e.g. to move to another backend
+ * The backup has no vectors, so every chunk is embedded again with the configured model.
+ * Articles whose stored chunks already have the same content hash are skipped unless `full`.
+ * Returns { articles, restored, skipped, chunks }
+ */
+export async function restoreFromJsonl({ full = false } = {}) {
+  const { embedModel } = await prepareCollection({ full });
+  const backup = readJsonl();
+  const summary = { articles: backup.size, restored: 0, skipped: 0, chunks: 0 };
+
+  for (const [url, lines] of backup) {
+    const payloads = lines.map((line) => JSON.parse(line));
+    const ids = payloads.map((p, i) => pointId(url, p.chunk ?? i));
+
+    if (!full) {
+      const stored = new Map((await getPoints(COLLECTION, ids)).map((p) => [String(p.id), p]));
+      if (payloads.every((p, i) => stored.has(ids[i]) && stored.get(ids[i]).hash === p.hash)) {
+        summary.skipped++;
+        continue;
+      }
+    }
+
+    const vectors = await embedChunks(url, payloads.map((p) => p.text));
+    // Backups from before chunk numbers and ingest dates were stored list an article's chunks in order
+    // and count as ingested now, so retention and recency treat them like any other article
+    const ingestedAt = payloads.find((p) => p.ingestedAt)?.ingestedAt || new Date().toISOString();
+    const ingestedTs = Math.floor(Date.parse(ingestedAt) / 1000);
+    await upsertPoints(
+      COLLECTION,
+      payloads.map((p, i) => ({ id: ids[i], vector: vectors[i], payload: { chunk: i, ingestedAt, ingestedTs, ...p, embedModel } }))
+    );
+    log.info("Restored", { url, chunks: payloads.length });
+    summary.restored++;
+    summary.chunks += payloads.length;
+  }
+
+  // Same keyword index as after an ingestion run
+  const stored = await scrollAll(COLLECTION);
+  saveIndex(buildIndex(stored));
+  log.info("Keyword index rebuilt", { chunks: stored.length });
+  return summary;
+}
@@ -0,0 +1,23 @@
+// Load data/news.jsonl into the configured vector store: `npm run restore`
+// Useful to switch VECTOR_STORE (or rebuild a lost collection) without scraping everything again
+// `npm run restore -- --full` wipes the collection first
+import "dotenv/config";
+import fs from "fs";
+import { restoreFromJsonl, OUT_JSONL } from "./pipeline.js";
+import { VECTOR_STORE } from "../vecdb/index.js";
+import { log } from "../obs/logger.js";
+
+async function main() {
+  if (!fs.existsSync(OUT_JSONL)) {
+    log.error("No backup to restore - data/news.jsonl is written by `npm run ingest`.");
+    process.exit(1);
+  }
+
+  const summary = await restoreFromJsonl({ full: process.argv.includes("--full") });
+  log.info("Restore done", { vectorStore: VECTOR_STORE, ...summary });
+}
+
+main().catch((e) => {
+  log.error("Restore failed", { error: e });
+  process.exit(1);
+});
@@ -0,0 +1,178 @@
+// Expand ingestion sources (plain URLs, RSS/Atom feeds, news sitemaps) into article URLs
+import fs from "fs";
+import path from "path";
+import * as cheerio from "cheerio";
+import { fetchPage } from "./fetcher.js";
+import { DATA_DIR, URLS_FILE } from "./pipeline.js";
+import { log } from "../obs/logger.js";
+
+// Optional feeds/sitemaps config; override with SOURCES_FILE
+export const SOURCES_FILE = path.resolve(process.env.SOURCES_FILE || path.join(DATA_DIR, "sources.json"));
+
+// How many nested sitemaps we follow from a sitemap index (keeps huge indexes in check)
+const MAX_CHILD_SITEMAPS = 5;
+
+/**
+ * Load the sources config file if it exists
+ * Format:
+ * {
+ *   "urls": ["https://..."],                       // plain article URLs
+ *   "sources": [
+ *     { "type": "rss", "url": "https://.../feed", "include": ["/business/"], "exclude": ["/videos/"],
+ *       "maxAgeDays": 3, "limit": 25 },
+ *     { "type": "sitemap", "url": "https://.../news-sitemap.xml", "maxAgeDays": 2 }
+ *   ]
+ * }
+ * "rss" also covers Atom feeds. Returns null when there is no config file.
+ */
+export function loadSources(file) {
+  if (!fs.existsSync(file)) return null;
+  const config = JSON.parse(fs.readFileSync(file, "utf8"));
+  return {
+    urls: Array.isArray(config.urls) ? config.urls : [],
+    sources: Array.isArray(config.sources) ? config.sources : [],
+  };
+}
+
+// Parse a date string, returning null for missing or garbage values
+const parseDate = (s) => {
+  const t = Date.parse(String(s || "").trim());
+  return Number.isNaN(t) ? null : new Date(t);
+};
+
+/**
+ * Parse an RSS 2.0 or Atom feed into [{ url, date }]
+ */
+function parseFeed(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const items = [];
+
+  // RSS 2.0: <item><link>url</link><pubDate>...</pubDate></item>
+  $("item").each((_, el) => {
+    const item = $(el);
+    const url = item.children("link").first().text().trim() || item.children("guid").first().text().trim();
+    const date = parseDate(item.children("pubDate").first().text() || item.children("dc\\:date").first().text());
+    if (url) items.push({ url, date });
+  });
+
+  // Atom: <entry><link rel="alternate" href="url"/><updated>...</updated></entry>
+  $("entry").each((_, el) => {
+    const entry = $(el);
+    const link =
+      entry.children("link[rel='alternate']").first().attr("href") ||
+      entry.children("link").first().attr("href");
+    const date = parseDate(entry.children("published").first().text() || entry.children("updated").first().text());
+    if (link) items.push({ url: link.trim(), date });
+  });
+
+  return items;
+}
+
+/**
+ * Parse a sitemap (including Google News `news:news` entries) into [{ url, date }]
+ * A sitemap index returns its child sitemaps under `children` instead
+ */
+function parseSitemap(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+
+  const children = $("sitemapindex > sitemap > loc").map((_, el) => $(el).text().trim()).get();
+  if (children.length) return { items: [], children };
+
+  const items = [];
+  $("urlset > url").each((_, el) => {
+    const entry = $(el);
+    const url = entry.children("loc").first().text().trim();
+    const date = parseDate(
+      entry.find("news\\:publication_date").first().text() || entry.children("lastmod").first().text()
+    );
+    if (url) items.push({ url, date });
+  });
+  return { items, children: [] };
+}
+
+/**
+ * Fetch a sitemap and, for a sitemap index, a bounded number of its child sitemaps
+ */
+async function expandSitemap(url) {
+  const { body } = await fetchPage(url);
+  const { items, children } = parseSitemap(body);
+  for (const child of children.slice(0, MAX_CHILD_SITEMAPS)) {
+    try {
+      const { body: childXml } = await fetchPage(child);
+      items.push(...parseSitemap(childXml).items);
+    } catch (e) {
+      log.warn("Error fetching sitemap", { sitemap: child, error: e.message });
+    }
+  }
+  return items;
+}
+
+/**
+ * Apply a source's include/exclude patterns, max-age cutoff and limit
+ * Items without a date are kept - we can't tell how old they are
+ */
+function filterItems(items, source) {
+  const include = (source.include || []).map((p) => new RegExp(p, "i"));
+  const exclude = (source.exclude || []).map((p) => new RegExp(p, "i"));
+  const cutoff = source.maxAgeDays ? Date.now() - source.maxAgeDays * 24 * 60 * 60 * 1000 : null;
+
+  const kept = items.filter(({ url, date }) => {
+    if (include.length && !include.some((re) => re.test(url))) return false;
+    if (exclude.some((re) => re.test(url))) return false;
+    if (cutoff && date && date.getTime() < cutoff) return false;
+    return true;
+  });
+  return source.limit ? kept.slice(0, source.limit) : kept;
+}
+
+/**
+ * Expand every configured source into a de-duplicated list of article URLs
+ * A failing feed or sitemap is logged and skipped so one bad source doesn't stop ingestion
+ */
+export async function expandSources({ urls = [], sources = [] }) {
+  const out = [...urls];
+
+  for (const source of sources) {
+    try {
+      let items;
+      if (source.type === "rss" || source.type === "atom") {
+        const { body } = await fetchPage(source.url);
+        items = parseFeed(body);
+      } else if (source.type === "sitemap") {
+        items = await expandSitemap(source.url);
+      } else if (source.type === "url") {
+        items = [{ url: source.url, date: null }];
+      } else {
+        log.warn("Unknown source type, skipping", { type: source.type, source: source.url });
+        continue;
+      }
+
+      const kept = filterItems(items, source);
+      log.info("Source expanded", { source: source.url, entries: items.length, kept: kept.length });
+      out.push(...kept.map((i) => i.url));
+    } catch (e) {
+      log.warn("Error expanding source", { source: source.url, error: e.message });
+    }
+  }
+
+  return [...new Set(out.map((u) => u.trim()).filter(Boolean))];
+}
+
+/**
+ * Article URLs from data/urls.txt and the sources config (feeds expanded to their current entries)
+ * Returns { urls, hasFeeds }, or null when neither file exists
+ * Feeds only list their latest entries, so callers shouldn't prune articles missing from a feed run
+ */
+export async function configuredUrls() {
+  const sourcesConfig = loadSources(SOURCES_FILE);
+  if (!fs.existsSync(URLS_FILE) && !sourcesConfig) return null;
+
+  // Read and clean up URLs (remove duplicates and empty lines)
+  const urlsRaw = fs.existsSync(URLS_FILE)
+    ? fs.readFileSync(URLS_FILE, "utf8").split(/\r?\n/).map((s) => s.trim()).filter(Boolean)
+    : [];
+  const urls = sourcesConfig
+    ? await expandSources({ ...sourcesConfig, urls: [...urlsRaw, ...sourcesConfig.urls] })
+    : [...new Set(urlsRaw)];
+  return { urls, hasFeeds: !!sourcesConfig?.sources.length };
+}
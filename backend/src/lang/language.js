@@ -0,0 +1,72 @@
+// Language detection for articles and questions
+// Script-based: Indian languages each have their own script, so counting letters per script is
+// reliable for them; a page's declared language (<html lang>, JSON-LD inLanguage) settles the rest
+// (e.g. Marathi vs Hindi, both Devanagari, or French vs English, both Latin)
+
+// Script -> the language we assume when nothing more specific is declared
+const SCRIPTS = [
+  { script: "Devanagari", re: /\p{Script=Devanagari}/u, language: "hi" },
+  { script: "Bengali", re: /\p{Script=Bengali}/u, language: "bn" },
+  { script: "Gurmukhi", re: /\p{Script=Gurmukhi}/u, language: "pa" },
+  { script: "Gujarati", re: /\p{Script=Gujarati}/u, language: "gu" },
+  { script: "Oriya", re: /\p{Script=Oriya}/u, language: "or" },
+  { script: "Tamil", re: /\p{Script=Tamil}/u, language: "ta" },
+  { script: "Telugu", re: /\p{Script=Telugu}/u, language: "te" },
+  { script: "Kannada", re: /\p{Script=Kannada}/u, language: "kn" },
+  { script: "Malayalam", re: /\p{Script=Malayalam}/u, language: "ml" },
+  { script: "Arabic", re: /\p{Script=Arabic}/u, language: "ur" },
+  { script: "Han", re: /\p{Script=Han}/u, language: "zh" },
+  { script: "Latin", re: /\p{Script=Latin}/u, language: "en" },
+];
+
+// Languages written in each script, for checking a declared language against the text
+const SCRIPT_LANGUAGES = {
+  Devanagari: ["hi", "mr", "ne", "sa", "kok", "mai"],
+  Bengali: ["bn", "as"],
+  Arabic: ["ur", "ar", "fa", "ks", "sd"],
+  Han: ["zh", "ja"],
+  Latin: ["en", "fr", "de", "es", "pt", "it", "nl", "id", "ms", "sw"],
+};
+
+export const LANGUAGE_NAMES = {
+  en: "English", hi: "Hindi", mr: "Marathi", ne: "Nepali", sa: "Sanskrit", kok: "Konkani", mai: "Maithili",
+  bn: "Bengali", as: "Assamese", pa: "Punjabi", gu: "Gujarati", or: "Odia", ta: "Tamil", te: "Telugu",
+  kn: "Kannada", ml: "Malayalam", ur: "Urdu", ar: "Arabic", fa: "Persian", ks: "Kashmiri", sd: "Sindhi",
+  zh: "Chinese", ja: "Japanese", fr: "French", de: "German", es: "Spanish", pt: "Portuguese",
+  it: "Italian", nl: "Dutch", id: "Indonesian", ms: "Malay", sw: "Swahili",
+};
+
+// Letters looked at per text - plenty to tell scripts apart
+const SAMPLE_CHARS = 5000;
+
+/**
+ * Normalise a language tag ("hi-IN", "en_US", "HI") to its base code ("hi"), or null
+ */
+export function normalizeLanguage(tag) {
+  const base = String(tag || "").trim().toLowerCase().split(/[-_]/)[0];
+  return /^[a-z]{2,3}$/.test(base) ? base : null;
+}
+
+/**
+ * Human-readable name for a language code, for prompts ("hi" -> "Hindi")
+ */
+export const languageName = (code) => LANGUAGE_NAMES[code] || code;
+
+/**
+ * Detect the language of a text: the dominant script decides, the declared language
+ * (if any) picks between languages sharing that script
+ * Returns a base ISO 639 code ("en", "hi", ...) or "und" for text without letters
+ */
+export function detectLanguage(text, declared) {
+  const counts = new Map();
+  for (const ch of String(text || "").slice(0, SAMPLE_CHARS)) {
+    const entry = SCRIPTS.find((s) => s.re.test(ch));
+    if (entry) counts.set(entry, (counts.get(entry) || 0) + 1);
+  }
+  if (!counts.size) return normalizeLanguage(declared) || "und";
+
+  const [dominant] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+  const hint = normalizeLanguage(declared);
+  if (hint && (hint === dominant.language || SCRIPT_LANGUAGES[dominant.script]?.includes(hint))) return hint;
+  return dominant.language;
+}
@@ -0,0 +1,139 @@
+// Lexical (BM25) index over the ingested chunks
+// Complements vector search for tickers, names and exact figures that embeddings tend to blur
+import fs from "fs";
+import path from "path";
+import { normalizeLanguage } from "../lang/language.js";
+import { cacheLookup } from "../obs/metrics.js";
+
+// Where the index lives; rebuilt at the end of every ingestion run
+const INDEX_FILE = path.resolve(process.env.BM25_INDEX_FILE || path.join("data", "bm25.json"));
+
+// Standard BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Very common English words that only add noise to keyword scores
+const STOPWORDS = new Set(
+  "a an and are as at be by for from has have in is it its of on or that the this to was were will with what who how when where which about after their they".split(" ")
+);
+
+/**
+ * Split text into lowercase terms
+ * Thousands separators are dropped so "24,645" and "24645" match each other
+ */
+export function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/(\d),(?=\d)/g, "$1")
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    .filter((t) => t && !STOPWORDS.has(t));
+}
+
+/**
+ * Build an index from chunks: [{ id, url, title, text, ...payload }]
+ * The title is indexed together with the chunk text so article names match too
+ */
+export function buildIndex(chunks) {
+  const docs = [];
+  const postings = {};
+  let totalLen = 0;
+
+  chunks.forEach((chunk, docIdx) => {
+    const terms = tokenize(`${chunk.title || ""} ${chunk.text || ""}`);
+    const tf = new Map();
+    terms.forEach((t) => tf.set(t, (tf.get(t) || 0) + 1));
+    for (const [term, count] of tf) (postings[term] ||= []).push([docIdx, count]);
+
+    docs.push({ ...chunk, len: terms.length });
+    totalLen += terms.length;
+  });
+
+  return { avgdl: docs.length ? totalLen / docs.length : 0, docs, postings };
+}
+
+/**
+ * Write the index to disk atomically so a running server never reads a half-written file
+ */
+export function saveIndex(index, file = INDEX_FILE) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(index));
+  fs.renameSync(tmp, file);
+}
+
+// ---- Loaded index, reloaded whenever ingestion rewrites the file ----
+let loaded = null;
+let loadedMtime = 0;
+
+function getIndex() {
+  let mtime;
+  try {
+    mtime = fs.statSync(INDEX_FILE).mtimeMs;
+  } catch {
+    return null; // No index yet - keyword search just returns nothing
+  }
+  const hit = loaded && mtime === loadedMtime;
+  cacheLookup("bm25_index", hit);
+  if (!hit) {
+    loaded = JSON.parse(fs.readFileSync(INDEX_FILE, "utf8"));
+    loadedMtime = mtime;
+  }
+  return loaded;
+}
+
+/**
+ * Check a chunk's payload against chat filters ({ from, to, sources, categories, languages })
+ * Mirrors buildFilter in vecdb/schema.js so both retrieval modes see the same corpus
+ */
+function matchesFilters(doc, filters) {
+  if (!filters) return true;
+  const { from, to, sources, categories, languages } = filters;
+
+  if (from || to) {
+    if (doc.publishedTs == null) return false;
+    if (from && doc.publishedTs < Math.floor(Date.parse(from) / 1000)) return false;
+    if (to && doc.publishedTs > Math.floor(Date.parse(to) / 1000)) return false;
+  }
+  if (sources?.length) {
+    const wanted = sources.map((s) => String(s).trim());
+    const domains = wanted.map((s) => s.toLowerCase().replace(/^www\./, ""));
+    if (!domains.includes(doc.source) && !wanted.includes(doc.publisher)) return false;
+  }
+  if (categories?.length) {
+    if (!categories.map((c) => String(c).trim().toLowerCase()).includes(doc.category)) return false;
+  }
+  if (languages?.length) {
+    if (!languages.map(normalizeLanguage).includes(doc.language)) return false;
+  }
+  return true;
+}
+
+/**
+ * Score every chunk containing a query term with BM25 and return the top k
+ * Results have the same shape as vector search results: { id, score, ...payload }
+ */
+export function keywordSearch(query, k = 8, filters) {
+  const index = getIndex();
+  if (!index || !index.docs.length) return [];
+
+  const N = index.docs.length;
+  const scores = new Map();
+  for (const term of new Set(tokenize(query))) {
+    const list = index.postings[term];
+    if (!list) continue;
+    const idf = Math.log(1 + (N - list.length + 0.5) / (list.length + 0.5));
+    for (const [docIdx, tf] of list) {
+      const len = index.docs[docIdx].len;
+      const s = idf * ((tf * (K1 + 1)) / (tf + K1 * (1 - B + (B * len) / (index.avgdl || 1))));
+      scores.set(docIdx, (scores.get(docIdx) || 0) + s);
+    }
+  }
+
+  return [...scores.entries()]
+    .filter(([docIdx]) => matchesFilters(index.docs[docIdx], filters))
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, k)
+    .map(([docIdx, score]) => {
+      const { len, ...doc } = index.docs[docIdx];
+      return { ...doc, score };
+    });
+}
@@ -0,0 +1,115 @@
+// Near-duplicate detection over text: MinHash signatures of word shingles for whole articles
+// (syndicated wire copies) and SimHash fingerprints for single chunks (repeated paragraphs)
+import { tokenize } from "./bm25.js";
+
+// Articles are compared as sets of 5-word shingles
+const SHINGLE_WORDS = 5;
+
+// MinHash signature length, split into LSH bands for candidate lookup: 16 bands of 4 values
+// make a pair above ~0.6 Jaccard share a band almost surely, and unrelated pairs almost never
+export const MINHASH_SIZE = 64;
+const LSH_BANDS = 16;
+const ROWS_PER_BAND = MINHASH_SIZE / LSH_BANDS;
+
+// 32-bit FNV-1a over a string
+const fnv1a = (s) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+};
+
+// MurmurHash3 finalizer - a bijection on 32-bit ints, so `fmix(h ^ seed)` is one random permutation per seed
+const fmix = (h) => {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+};
+
+const SEEDS = Array.from({ length: MINHASH_SIZE }, (_, i) => fmix(i + 1));
+
+/**
+ * Distinct word shingles of a text; texts shorter than one shingle are a single shingle
+ */
+function shingles(text) {
+  const words = tokenize(text);
+  if (words.length <= SHINGLE_WORDS) return new Set(words.length ? [words.join(" ")] : []);
+  const out = new Set();
+  for (let i = 0; i + SHINGLE_WORDS <= words.length; i++) out.add(words.slice(i, i + SHINGLE_WORDS).join(" "));
+  return out;
+}
+
+/**
+ * MinHash signature of a text: MINHASH_SIZE unsigned 32-bit ints
+ */
+export function minhash(text) {
+  const signature = new Array(MINHASH_SIZE).fill(0xffffffff);
+  for (const shingle of shingles(text)) {
+    const h = fnv1a(shingle);
+    for (let i = 0; i < MINHASH_SIZE; i++) {
+      const v = fmix(h ^ SEEDS[i]);
+      if (v < signature[i]) signature[i] = v;
+    }
+  }
+  return signature;
+}
+
+/**
+ * Estimated Jaccard similarity of the shingle sets behind two signatures (share of equal values)
+ */
+export function estimateJaccard(a, b) {
+  let same = 0;
+  for (let i = 0; i < MINHASH_SIZE; i++) if (a[i] === b[i]) same++;
+  return same / MINHASH_SIZE;
+}
+
+/**
+ * LSH bucket keys of a signature; near-duplicates share at least one
+ */
+export const lshBands = (signature) =>
+  Array.from({ length: LSH_BANDS }, (_, b) => `${b}:${signature.slice(b * ROWS_PER_BAND, (b + 1) * ROWS_PER_BAND).join(",")}`);
+
+/**
+ * 64-bit SimHash fingerprint of a text as 16 hex digits, terms weighted by count
+ */
+export function simhash(text) {
+  const counts = new Map();
+  tokenize(text).forEach((t) => counts.set(t, (counts.get(t) || 0) + 1));
+
+  const v = new Array(64).fill(0);
+  for (const [term, weight] of counts) {
+    const lo = fnv1a(term);
+    const hi = fmix(lo ^ 0x9e3779b9);
+    for (let bit = 0; bit < 32; bit++) {
+      v[bit] += (lo >>> bit) & 1 ? weight : -weight;
+      v[32 + bit] += (hi >>> bit) & 1 ? weight : -weight;
+    }
+  }
+
+  let lo = 0;
+  let hi = 0;
+  for (let bit = 0; bit < 32; bit++) {
+    if (v[bit] > 0) lo |= 1 << bit;
+    if (v[32 + bit] > 0) hi |= 1 << bit;
+  }
+  const hex = (n) => (n >>> 0).toString(16).padStart(8, "0");
+  return hex(hi) + hex(lo);
+}
+
+const popcount = (n) => {
+  n -= (n >>> 1) & 0x55555555;
+  n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+  return (Math.imul((n + (n >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24);
+};
+
+/**
+ * Number of differing bits between two SimHash fingerprints
+ */
+export const hammingDistance = (a, b) =>
+  popcount(parseInt(a.slice(0, 8), 16) ^ parseInt(b.slice(0, 8), 16)) +
+  popcount(parseInt(a.slice(8), 16) ^ parseInt(b.slice(8), 16));
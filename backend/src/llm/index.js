@@ -0,0 +1,139 @@
+// LLM provider selection
+// LLM_PROVIDER=gemini (default) | openai (any OpenAI-compatible chat-completions server) | mock (scripted replies)
+import * as gemini from "./gemini.js";
+import * as openai from "./openai.js";
+import * as mock from "./mock.js";
+import { buildPrompt, buildCondensePrompt, buildRerankPrompt, buildDigestPrompt, buildSummaryPrompt } from "./prompt.js";
+import { estimateTokens, usageOf } from "./tokens.js";
+import { retryWithBackoff } from "./retry.js";
+import { log } from "../obs/logger.js";
+import { timeStage } from "../obs/metrics.js";
+
+const PROVIDERS = { gemini, openai, mock };
+
+const NAME = (process.env.LLM_PROVIDER || "gemini").toLowerCase();
+const provider = PROVIDERS[NAME];
+if (!provider) {
+  throw new Error(`Unknown LLM_PROVIDER "${NAME}" (expected one of: ${Object.keys(PROVIDERS).join(", ")})`);
+}
+
+export { estimateTokens, usageOf };
+
+/**
+ * Which provider and model answered - returned with chat responses for auditability
+ */
+export function llmInfo() {
+  return { provider: NAME, model: provider.MODEL };
+}
+
+/**
+ * Generate an AI response using context from our news database
+ * This is where the magic happens - we combine user questions with relevant news articles
+ * Only the first contextUsed documents (and historyUsed messages) fit the prompt budget
+ */
+export async function answerWithContext({ message, contextDocs = [], history = [], summary = null, strictCitations = false }) {
+  log.debug("LLM request", { provider: NAME, model: provider.MODEL, stream: false });
+  const { prompt, promptTokens, contextUsed, historyUsed } = buildPrompt({ message, contextDocs, history, summary, strictCitations });
+
+  // Generate the response with retry logic in case of API issues
+  let reported = null;
+  const onUsage = (counts) => { reported = counts; };
+  const text = await timeStage("llm", () =>
+    retryWithBackoff(() => provider.complete({ prompt, message, onUsage }), 3, 1000, NAME)
+  );
+
+  // promptTokens stays the estimate the prompt was budgeted with; usage has the provider's counts if any
+  const usage = usageOf(reported, promptTokens, text);
+  return { text, usage, promptTokens, contextUsed, historyUsed, ...llmInfo() };
+}
+
+/**
+ * Streaming version of answerWithContext
+ * Yields text pieces as the model produces them; pass an AbortSignal to stop generation early
+ * onPrompt({ promptTokens, contextUsed, historyUsed }) is called once the prompt is built,
+ * onUsage({ promptTokens, completionTokens }) when the stream ends, if the provider reports token counts
+ */
+export async function* streamAnswerWithContext({ message, contextDocs = [], history = [], summary = null, signal, onPrompt, onUsage }) {
+  log.debug("LLM request", { provider: NAME, model: provider.MODEL, stream: true });
+  const { prompt, ...budget } = buildPrompt({ message, contextDocs, history, summary });
+  onPrompt?.(budget);
+
+  // Only opening the stream is retried - once tokens have been sent we can't take them back
+  const stream = await timeStage("llm_stream_open", () =>
+    retryWithBackoff(() => provider.openStream({ prompt, message, signal, onUsage }), 3, 1000, NAME)
+  );
+
+  yield* stream;
+}
+
+/**
+ * Rewrite a follow-up question into a standalone search query using the conversation so far
+ * Returns the message unchanged when there is no history to resolve it against
+ */
+export async function condenseQuery({ message, history = [] }) {
+  if (!history.length) return message;
+
+  const prompt = buildCondensePrompt({ message, history });
+  const text = await timeStage("rewrite", () =>
+    retryWithBackoff(() => provider.complete({ prompt, message, task: "condense" }), 3, 1000, NAME)
+  );
+
+  // Models sometimes wrap the query in quotes or add a trailing line - keep the first line only
+  const query = String(text || "").split("\n")[0].replace(/^["'\s]+|["'\s]+$/g, "");
+  return query || message;
+}
+
+/**
+ * Grade passages for relevance to a query (used by the LLM reranker)
+ * Returns one score in [0, 1] per passage, in input order; passages the model skipped score 0
+ */
+export async function rankPassages({ query, passages = [] }) {
+  if (!passages.length) return [];
+
+  const prompt = buildRerankPrompt({ query, passages });
+  const text = await retryWithBackoff(() => provider.complete({ prompt, message: query, task: "rerank" }), 3, 1000, NAME);
+
+  const scores = passages.map(() => 0);
+  for (const [, n, score] of String(text || "").matchAll(/\[?(\d+)\]?\s*[:=-]\s*(\d+(?:\.\d+)?)/g)) {
+    const idx = Number(n) - 1;
+    if (idx >= 0 && idx < scores.length) scores[idx] = Math.min(Number(score), 10) / 10;
+  }
+  return scores;
+}
+
+/**
+ * Write a headline and a cited summary for one digest story
+ * Returns { title, summary, usage, provider, model }; the summary cites context blocks as [n]
+ */
+export async function summarizeStory({ contextDocs = [], topic }) {
+  const prompt = buildDigestPrompt({ contextDocs, topic });
+  let reported = null;
+  const onUsage = (counts) => { reported = counts; };
+  const text = await timeStage("digest", () =>
+    retryWithBackoff(() => provider.complete({ prompt, message: contextDocs[0]?.title || "", task: "digest", onUsage }), 3, 1000, NAME)
+  );
+
+  // Expect "TITLE: ...\nSUMMARY: ..."; fall back to the lead article's title and the whole reply
+  const raw = String(text || "").trim();
+  const title = raw.match(/^TITLE:\s*(.+)$/im)?.[1]?.trim() || contextDocs[0]?.title || "";
+  const summary = raw.match(/SUMMARY:\s*([\s\S]+)/i)?.[1]?.trim() || raw.replace(/^TITLE:.*$/im, "").trim();
+
+  const usage = usageOf(reported, estimateTokens(prompt), text);
+  return { title, summary, usage, ...llmInfo() };
+}
+
+/**
+ * Fold older conversation turns into the session's running summary
+ * Returns { text, usage } - text is the updated summary
+ */
+export async function summarizeConversation({ summary, turns = [] }) {
+  const prompt = buildSummaryPrompt({ summary, turns });
+  let reported = null;
+  const onUsage = (counts) => { reported = counts; };
+  const text = await timeStage("summarize", () =>
+    retryWithBackoff(() => provider.complete({ prompt, message: turns.map((t) => t.message ?? t.content ?? "").join("\n"), task: "summarize", onUsage }), 3, 1000, NAME)
+  );
+
+  const usage = usageOf(reported, estimateTokens(prompt), text);
+  return { text: String(text || "").trim(), usage };
+}
@@ -0,0 +1,57 @@
+// Scripted mock LLM for tests and demos - returns canned replies, never touches the network
+// LLM_MOCK_SCRIPT points at a JSON file with an array of entries:
+//   [{ "match": "iphone", "reply": "Apple's iPhone 17 ... [1]" }, "A plain reply used in turn"]
+// Entries with "match" (a case-insensitive regex) answer messages that match it;
+// plain strings / entries without "match" are handed out in order, cycling.
+import fs from "fs";
+
+export const MODEL = "scripted";
+
+let script = null;
+let nextIdx = 0;
+
+function loadScript() {
+  if (script) return script;
+  const file = process.env.LLM_MOCK_SCRIPT;
+  const raw = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : [];
+  script = raw.map((e) => (typeof e === "string" ? { reply: e } : e));
+  return script;
+}
+
+/**
+ * Pick the reply for a message: first matching rule, else the next sequential reply,
+ * else a default that still cites the first context block
+ */
+function replyFor(message) {
+  const entries = loadScript();
+  const rule = entries.find((e) => e.match && new RegExp(e.match, "i").test(message));
+  if (rule) return rule.reply;
+
+  const sequential = entries.filter((e) => !e.match);
+  if (sequential.length) return sequential[nextIdx++ % sequential.length].reply;
+
+  return `This is a mock answer to "${message}" [1].`;
+}
+
+export async function complete({ message, task }) {
+  // Query rewriting just passes the message through so scripted replies stay in order
+  if (task === "condense") return message;
+  // No grades for reranking: every passage scores 0 and keeps its retrieval order
+  if (task === "rerank") return "";
+  // Digest stories are headlined with the lead article's title (passed as the message)
+  if (task === "digest") return `TITLE: ${message}\nSUMMARY: This is a mock summary of the story [1].`;
+  // Conversation summaries: a deterministic excerpt of the folded turns
+  if (task === "summarize") return `Earlier the conversation covered: ${message.replace(/\s+/g, " ").slice(0, 200)}`;
+  return replyFor(message);
+}
+
+export async function openStream({ message, signal }) {
+  const reply = replyFor(message);
+  return (async function* () {
+    // Word-sized pieces so clients exercise real incremental rendering
+    for (const piece of reply.match(/\S+\s*/g) || []) {
+      if (signal?.aborted) return;
+      yield piece;
+    }
+  })();
+}
@@ -0,0 +1,73 @@
+// Any OpenAI-compatible chat-completions server (vLLM, Ollama, llama.cpp, LM Studio...)
+// e.g. LLM_BASE_URL=http://localhost:11434/v1 LLM_MODEL=llama3.1:8b
+import axios from "axios";
+
+const BASE_URL = (process.env.LLM_BASE_URL || "http://localhost:8000/v1").replace(/\/+$/, "");
+export const MODEL = process.env.LLM_MODEL || "default";
+
+const headers = () =>
+  process.env.LLM_API_KEY ? { Authorization: `Bearer ${process.env.LLM_API_KEY}` } : {};
+
+// We send the same single-turn prompt as the Gemini provider
+const body = (prompt, extra = {}) => ({
+  model: MODEL,
+  messages: [{ role: "user", content: prompt }],
+  temperature: Number(process.env.LLM_TEMPERATURE ?? 0.2),
+  ...extra,
+});
+
+// OpenAI's usage object as { promptTokens, completionTokens }, or null if the server sent none
+const usageFrom = (usage) =>
+  usage?.prompt_tokens != null ? { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens ?? 0 } : null;
+
+/**
+ * Generate a complete response for a prompt
+ * onUsage({ promptTokens, completionTokens }) is called with the token counts the server reports
+ */
+export async function complete({ prompt, onUsage }) {
+  const res = await axios.post(`${BASE_URL}/chat/completions`, body(prompt), {
+    headers: headers(),
+    timeout: 120000, // local models can be slow
+  });
+  const text = res.data?.choices?.[0]?.message?.content;
+  if (text == null) throw new Error("No completion from LLM server");
+  const usage = usageFrom(res.data.usage);
+  if (usage) onUsage?.(usage);
+  return text;
+}
+
+/**
+ * Open a streaming response; resolves once the server has accepted the request
+ * and returns an async iterable of text pieces parsed from the SSE stream
+ */
+export async function openStream({ prompt, signal, onUsage }) {
+  // include_usage asks for a last chunk with the token counts; servers that don't know it send none
+  const res = await axios.post(`${BASE_URL}/chat/completions`, body(prompt, { stream: true, stream_options: { include_usage: true } }), {
+    headers: headers(),
+    responseType: "stream",
+    signal,
+  });
+
+  return (async function* () {
+    let buffer = "";
+    for await (const part of res.data) {
+      buffer += part.toString("utf8");
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+      for (const line of lines) {
+        const data = line.replace(/^data:\s*/, "").trim();
+        if (!line.startsWith("data:") || !data) continue;
+        if (data === "[DONE]") return;
+        try {
+          const event = JSON.parse(data);
+          const usage = usageFrom(event.usage);
+          if (usage) onUsage?.(usage);
+          const text = event.choices?.[0]?.delta?.content;
+          if (text) yield text;
+        } catch {
+          // Ignore keep-alive comments and partial garbage
+        }
+      }
+    }
+  })();
+}
@@ -0,0 +1,186 @@
+// Prompt construction shared by all LLM providers
+import { estimateTokens } from "./tokens.js";
+import { detectLanguage, languageName } from "../lang/language.js";
+
+// Token budget for the whole chat prompt (instructions, summary, context, history, question)
+const PROMPT_TOKEN_BUDGET = Number(process.env.PROMPT_TOKEN_BUDGET ?? 6000);
+// Share of the budget kept for recent history, so a long context can't push out the last turns
+const HISTORY_TOKEN_SHARE = Number(process.env.HISTORY_TOKEN_SHARE ?? 0.25);
+// A context block that doesn't fit is cut down, unless less than this would be left of it
+const MIN_BLOCK_TOKENS = 100;
+
+// Stored turns keep their text in `message` (see appendMessage); `content` is accepted too
+const turnText = (m) => m.message ?? m.content ?? "";
+
+// Render turns as "ROLE: text" lines
+const formatHistory = (turns) =>
+  turns.map((m) => `${String(m.role || "user").toUpperCase()}: ${turnText(m)}`).join("\n");
+
+// One numbered CONTEXT block; [n] in a reply refers to block n
+// Publisher and date let the model answer "this week" / "what did X say" questions;
+// the language tells it which sources need translating
+const formatBlock = (d, i) => {
+  const source = [
+    d.publisher,
+    d.publishedAt && `published ${d.publishedAt.slice(0, 10)}`,
+    d.language && d.language !== "und" && `in ${languageName(d.language)}`,
+  ].filter(Boolean).join(", ");
+  return `---\n[${i + 1}] TITLE: ${d.title}\nURL: ${d.url}\n${source ? `SOURCE: ${source}\n` : ""}TEXT: ${d.text}`;
+};
+
+const formatContext = (contextDocs) => contextDocs.map(formatBlock).join("\n");
+
+/**
+ * Fit context blocks into a token budget, best-ranked first
+ * The first block that doesn't fit is shortened if enough room is left, and nothing after it is sent,
+ * so block numbers always match contextDocs positions
+ */
+function fitContext(contextDocs, budget) {
+  const blocks = [];
+  let left = budget;
+  for (let i = 0; i < contextDocs.length; i++) {
+    const block = formatBlock(contextDocs[i], i);
+    const cost = estimateTokens(block) + 1;
+    if (cost <= left) {
+      blocks.push(block);
+      left -= cost;
+      continue;
+    }
+    const room = left - estimateTokens(formatBlock({ ...contextDocs[i], text: "" }, i)) - 1;
+    if (room >= MIN_BLOCK_TOKENS) {
+      blocks.push(formatBlock({ ...contextDocs[i], text: `${contextDocs[i].text.slice(0, room * 4 - 1)}…` }, i));
+      left = 0;
+    }
+    break;
+  }
+  return { blocks, left };
+}
+
+/**
+ * Keep the most recent turns that fit into a token budget
+ */
+function fitHistory(history, budget) {
+  const turns = [];
+  let left = budget;
+  for (let i = history.length - 1; i >= 0; i--) {
+    const cost = estimateTokens(formatHistory([history[i]])) + 1;
+    if (cost > left) break;
+    turns.unshift(history[i]);
+    left -= cost;
+  }
+  return turns;
+}
+
+/**
+ * Build the full prompt from context documents, chat history and the user's question
+ * Shared by every LLM provider and by the blocking and streaming variants,
+ * so all of them send the exact same prompt
+ *
+ * Everything is fitted into a token budget by priority: instructions, question and the rolling
+ * summary of older turns always go in; then context blocks in rank order, with a share reserved
+ * for recent history (newest turns first), which also gets whatever the context leaves unused.
+ * Returns { prompt, promptTokens, contextUsed, historyUsed } - contextUsed blocks were sent
+ */
+export function buildPrompt({ message, contextDocs = [], history = [], summary = null, strictCitations = false, budget = PROMPT_TOKEN_BUDGET }) {
+  // System prompt that tells the AI how to behave
+  let sys = `You are a helpful news assistant. Only use the CONTEXT. Cite sources like [1], [2]. If unsure, say you are unsure. Today is ${new Date().toISOString().slice(0, 10)}.`;
+
+  // Sources may be in other languages than the question - answer in the user's language regardless
+  const language = detectLanguage(message);
+  if (language !== "und") {
+    sys += ` Reply in ${languageName(language)}, the language of the USER's question, even when CONTEXT blocks are in other languages; translate what you use from them and still cite them.`;
+  }
+
+  // Used when a previous answer had uncited claims and we ask again
+  if (strictCitations) {
+    sys += ` Every sentence that states a fact MUST end with the number of the CONTEXT block that supports it, like [2]. Only use numbers that exist in the CONTEXT. Leave out anything the CONTEXT does not support.`;
+  }
+
+  // Turns that no longer fit the history are kept as a running summary
+  const summaryText = summary ? `SUMMARY OF EARLIER CONVERSATION:\n${summary}\n\n` : "";
+
+  // Combine everything into the final prompt
+  const assemble = (ctxBlocks, histText) =>
+    `${sys}\n\n${summaryText}CONTEXT:\n${ctxBlocks}\n\nCHAT HISTORY:\n${histText}\n\nUSER: ${message}\nASSISTANT:`;
+
+  const available = Math.max(0, budget - estimateTokens(assemble("", "")));
+  const historyReserve = Math.min(estimateTokens(formatHistory(history)), Math.floor(available * HISTORY_TOKEN_SHARE));
+  const { blocks, left } = fitContext(contextDocs, available - historyReserve);
+  const turns = fitHistory(history, historyReserve + left);
+
+  const prompt = assemble(blocks.join("\n"), formatHistory(turns));
+  return { prompt, promptTokens: estimateTokens(prompt), contextUsed: blocks.length, historyUsed: turns.length };
+}
+
+/**
+ * Build the prompt that rewrites a follow-up question into a standalone search query
+ * e.g. "what about their Q2 numbers?" after a question about Infosys -> "Infosys Q2 results"
+ */
+export function buildCondensePrompt({ message, history = [] }) {
+  const histText = formatHistory(history.slice(-6));
+  return `Rewrite the user's latest message as a standalone search query for a news search engine.
+Resolve pronouns and implicit references ("they", "that company", "and in India?") using the conversation.
+Keep names, tickers, numbers and dates exactly. If the message is already standalone, return it unchanged.
+Reply with the query only - no quotes, no explanation.
+
+CONVERSATION:
+${histText}
+
+LATEST MESSAGE: ${message}
+STANDALONE QUERY:`;
+}
+
+/**
+ * Build the prompt that grades how well each passage answers a query (LLM reranker)
+ * Passages are cut short - the opening of a news chunk is usually enough to judge it
+ */
+export function buildRerankPrompt({ query, passages }) {
+  const blocks = passages.map((p, i) => `[${i + 1}] ${p.slice(0, 600).replace(/\s+/g, " ")}`).join("\n");
+  return `Rate how relevant each passage is to the search query, from 0 (unrelated) to 10 (answers it directly).
+Reply with one line per passage in the form "<number>: <score>" and nothing else.
+
+QUERY: ${query}
+
+PASSAGES:
+${blocks}
+
+SCORES:`;
+}
+
+/**
+ * Build the prompt that summarises one story (a cluster of related articles) for the digest
+ * Uses the same numbered CONTEXT blocks as buildPrompt so [n] markers can be verified the same way
+ */
+export function buildDigestPrompt({ contextDocs = [], topic }) {
+  const ctxBlocks = formatContext(contextDocs);
+
+  return `You write a news digest. The CONTEXT blocks below are articles about one story${topic ? ` related to "${topic}"` : ""}.
+Write a short neutral headline for the story and a 2-4 sentence summary of what happened.
+Only use the CONTEXT. End every sentence with the number of the block that supports it, like [2].
+Reply exactly in this form:
+TITLE: <headline>
+SUMMARY: <summary>
+
+CONTEXT:
+${ctxBlocks}
+`;
+}
+
+/**
+ * Build the prompt that folds older turns into the session's running summary
+ * The summary replaces those turns in later prompts, so it must keep what follow-ups could refer to
+ */
+export function buildSummaryPrompt({ summary, turns = [] }) {
+  return `Update the running summary of a conversation between a user and a news assistant.
+Merge the EARLIER SUMMARY with the NEW TURNS into one summary of at most 150 words.
+Keep the topics, names, companies, numbers and dates that were discussed, what the user wanted to know
+and what the assistant answered. Reply with the summary only.
+
+EARLIER SUMMARY:
+${summary || "(none)"}
+
+NEW TURNS:
+${formatHistory(turns)}
+
+UPDATED SUMMARY:`;
+}
@@ -0,0 +1,36 @@
+// Retry helper shared by all LLM providers
+import { log } from "../obs/logger.js";
+import { llmRetries } from "../obs/metrics.js";
+
+/**
+ * Smart retry logic for handling API rate limits and temporary failures
+ * This prevents our app from crashing when the API is temporarily overloaded
+ */
+export async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000, provider = "unknown") {
+  for (let i = 0; i < maxRetries; i++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (i === maxRetries - 1) throw error;
+
+      const status = error?.status ?? error?.response?.status;
+      const msg = String(error?.message || "");
+      const transient =
+        status === 503 ||
+        status === 502 ||
+        status === 500 ||
+        status === 504 ||
+        status === 429 ||
+        /overload|quota|rate|exceed/i.test(msg);
+
+      if (transient) {
+        const delay = baseDelay * Math.pow(2, i);
+        log.warn("Transient LLM error, retrying", { provider, status: status || null, delayMs: delay, attempt: i + 1, maxRetries });
+        llmRetries.inc({ provider, status: String(status || "n/a") });
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      } else {
+        throw error;
+      }
+    }
+  }
+}
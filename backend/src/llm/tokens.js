@@ -0,0 +1,16 @@
+// Token accounting shared by prompt assembly, usage reporting and quotas
+
+/**
+ * Rough token count (~4 characters per token)
+ * Close enough for budgeting across providers without shipping each model's tokenizer
+ */
+export const estimateTokens = (text) => Math.ceil(String(text || "").length / 4);
+
+/**
+ * Token usage of one LLM call: the counts the provider reported, where it did, else estimates
+ * reported: { promptTokens, completionTokens } or null; promptTokens is the estimate for the prompt
+ */
+export const usageOf = (reported, promptTokens, text) => ({
+  promptTokens: reported?.promptTokens ?? promptTokens,
+  completionTokens: reported?.completionTokens ?? estimateTokens(text),
+});
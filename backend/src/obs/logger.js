@@ -0,0 +1,53 @@
+// Structured JSON logging with a per-request context
+// Every log line written while handling a request carries its requestId, without threading it through calls
+import { AsyncLocalStorage } from "async_hooks";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[(process.env.LOG_LEVEL || "info").toLowerCase()] ?? LEVELS.info;
+
+// LOG_FORMAT=text prints readable lines (handy for the ingest CLI); default is one JSON object per line
+const TEXT = (process.env.LOG_FORMAT || "json").toLowerCase() === "text";
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Run fn with a request context ({ requestId, ... }) that log lines pick up automatically
+ */
+export function withContext(ctx, fn) {
+  return context.run(ctx, fn);
+}
+
+/**
+ * The current request ID, or undefined outside a request
+ */
+export const currentRequestId = () => context.getStore()?.requestId;
+
+// Errors don't JSON.stringify - keep the useful parts
+const serialize = (fields) => {
+  const out = {};
+  for (const [k, v] of Object.entries(fields)) {
+    out[k] = v instanceof Error ? { message: v.message, name: v.name, status: v.status ?? v.response?.status, stack: v.stack } : v;
+  }
+  return out;
+};
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+  const entry = { ts: new Date().toISOString(), level, msg, ...context.getStore(), ...serialize(fields) };
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+  if (TEXT) {
+    const { ts, level: _l, msg: _m, ...rest } = entry;
+    const extra = Object.keys(rest).length ? ` ${JSON.stringify(rest)}` : "";
+    stream.write(`${ts} ${level.toUpperCase()} ${msg}${extra}\n`);
+  } else {
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+}
+
+export const log = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+};
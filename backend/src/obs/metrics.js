@@ -0,0 +1,102 @@
+// Prometheus metrics, served by GET /metrics
+import client from "prom-client";
+import { log, currentRequestId } from "./logger.js";
+
+export const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+// Time spent in each stage of answering a question (rewrite, embed, search, llm...)
+export const stageDuration = new client.Histogram({
+  name: "rag_stage_duration_seconds",
+  help: "Duration of RAG pipeline stages",
+  labelNames: ["stage"],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 30],
+  registers: [registry],
+});
+
+// HTTP requests by route and status
+export const httpDuration = new client.Histogram({
+  name: "http_request_duration_seconds",
+  help: "HTTP request duration",
+  labelNames: ["method", "route", "status"],
+  buckets: [0.05, 0.1, 0.5, 1, 2, 5, 10, 30, 60],
+  registers: [registry],
+});
+
+// Retries done by retryWithBackoff (LLM calls)
+export const llmRetries = new client.Counter({
+  name: "llm_retries_total",
+  help: "Transient LLM errors that were retried",
+  labelNames: ["provider", "status"],
+  registers: [registry],
+});
+
+// Similarity / rank scores of the chunks we retrieved
+export const retrievalScore = new client.Histogram({
+  name: "rag_retrieval_score",
+  help: "Scores of retrieved chunks, by retrieval source",
+  labelNames: ["source"],
+  buckets: [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1],
+  registers: [registry],
+});
+
+// Cache lookups, so hit rates can be graphed as hits / (hits + misses)
+export const cacheRequests = new client.Counter({
+  name: "cache_requests_total",
+  help: "Cache lookups by cache and result (hit/miss)",
+  labelNames: ["cache", "result"],
+  registers: [registry],
+});
+
+// Ingestion outcomes per article, and chunks written
+export const ingestArticles = new client.Counter({
+  name: "ingest_articles_total",
+  help: "Articles processed by ingestion, by outcome",
+  labelNames: ["status"],
+  registers: [registry],
+});
+
+export const ingestChunks = new client.Counter({
+  name: "ingest_chunks_total",
+  help: "Chunks embedded and stored by ingestion",
+  registers: [registry],
+});
+
+// Crawler requests by outcome (fetched, not_modified, retried, robots_disallowed, failed)
+export const crawlRequests = new client.Counter({
+  name: "crawl_requests_total",
+  help: "Crawler HTTP requests by outcome",
+  labelNames: ["result"],
+  registers: [registry],
+});
+
+// Thumbs up/down on answers
+export const feedbackVotes = new client.Counter({
+  name: "feedback_votes_total",
+  help: "Answer feedback by rating (up/down)",
+  labelNames: ["rating"],
+  registers: [registry],
+});
+
+/**
+ * Run fn and record how long it took under `stage`
+ * Within a request the duration is also logged with its requestId, so one slow answer can be
+ * traced to the stage that was slow; outside requests (CLIs, evals) only at debug level
+ */
+export async function timeStage(stage, fn) {
+  const end = stageDuration.startTimer({ stage });
+  let failed = false;
+  try {
+    return await fn();
+  } catch (e) {
+    failed = true;
+    throw e;
+  } finally {
+    const ms = Math.round(end() * 1000);
+    const requestId = currentRequestId();
+    (requestId ? log.info : log.debug)("stage", { requestId, stage, ms, ...(failed && { failed }) });
+  }
+}
+
+// Record a cache lookup
+export const cacheLookup = (cache, hit) => cacheRequests.inc({ cache, result: hit ? "hit" : "miss" });
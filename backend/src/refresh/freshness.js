@@ -0,0 +1,165 @@
+// Scheduled freshness: re-ingest the configured sources and recently published articles,
+// expire articles past the retention window, and record what each run added, updated and expired
+// Runs share the admin job queue (one ingestion at a time) and a lock (one refresh across processes)
+import { v4 as uuid } from "uuid";
+import { putRecord, getRecord, addToIndex, getIndex, acquireLock, releaseLock } from "../cache/redis.js";
+import { enqueue } from "../admin/jobs.js";
+import { configuredUrls } from "../ingest/sources.js";
+import { runIngestion, COLLECTION } from "../ingest/pipeline.js";
+import { listUrls, ageFilter, getCollectionInfo } from "../vecdb/index.js";
+import { log } from "../obs/logger.js";
+
+// Articles older than this are deleted (publish date, else ingest date); 0 keeps everything
+export const RETENTION_DAYS = Number(process.env.RETENTION_DAYS ?? 0);
+
+// Stored articles published this recently are re-scraped on every run - stories get updated
+const RECENT_HOURS = Number(process.env.REFRESH_RECENT_HOURS ?? 48);
+
+// Scheduler interval; 0 (the default) leaves refreshes to the CLI and the admin API
+const INTERVAL_MINUTES = Number(process.env.REFRESH_INTERVAL_MINUTES ?? 0);
+
+// Keep run records for a month
+const RUN_TTL_SECONDS = Number(process.env.REFRESH_RUN_TTL_DAYS ?? 30) * 24 * 60 * 60;
+
+// A lock outliving its run (crashed process) frees itself after this long
+const LOCK_TTL_SECONDS = 6 * 60 * 60;
+
+const LOCK_KEY = "refresh:lock";
+const RUN_KEY = (id) => `refresh:run:${id}`;
+const RUNS_INDEX = "refresh:runs";
+
+const now = () => new Date().toISOString();
+
+async function saveRun(run) {
+  run.updatedAt = now();
+  await putRecord(RUN_KEY(run.id), run, RUN_TTL_SECONDS);
+}
+
+/**
+ * Run summary for listings: counts only, without the URL lists
+ */
+const summarize = ({ added, updated, expired, failed, ...run }) => ({
+  ...run,
+  counts: { added: added.length, updated: updated.length, expired: expired.length, failed: failed.length },
+});
+
+/**
+ * Collect the URLs to refresh and run them through the pipeline, sorting each outcome
+ * into added (new article), updated (content changed), expired and failed
+ */
+async function executeRun(run, signal) {
+  run.status = "running";
+  run.startedAt = now();
+  await saveRun(run);
+
+  try {
+    // Nothing is stored before the very first ingestion
+    const stored = (await getCollectionInfo(COLLECTION)) ? await listUrls(COLLECTION) : [];
+    const before = new Set(stored);
+    const since = Math.floor(Date.now() / 1000) - RECENT_HOURS * 60 * 60;
+    const recent = stored.length && RECENT_HOURS > 0 ? await listUrls(COLLECTION, ageFilter({ since })) : [];
+
+    const configured = (await configuredUrls()) || { urls: [] };
+    const urls = [...new Set([...configured.urls, ...recent])];
+    run.urls = { configured: configured.urls.length, recent: recent.length, total: urls.length };
+    await saveRun(run);
+
+    // Feeds only list their latest entries, so nothing is pruned - old articles leave through retention
+    run.summary = await runIngestion(urls, {
+      retentionDays: RETENTION_DAYS,
+      signal,
+      onProgress: (url, { status, reason }) => {
+        if (status === "embedded") (before.has(url) ? run.updated : run.added).push(url);
+        else if (status === "expired") run.expired.push(url);
+        else if (status === "failed") run.failed.push({ url, reason });
+      },
+    });
+    run.status = run.summary.cancelled ? "cancelled" : "completed";
+    log.info("Refresh done", { runId: run.id, ...summarize(run).counts });
+  } catch (e) {
+    log.error("Refresh failed", { runId: run.id, error: e });
+    run.status = "failed";
+    run.error = e.message;
+  }
+
+  run.finishedAt = now();
+  await saveRun(run);
+  return run;
+}
+
+/**
+ * Start a refresh run in the background
+ * Returns { run, done } - `done` resolves to the finished run - or null if a refresh is already running
+ */
+export async function startRefresh({ trigger = "manual", signal } = {}) {
+  const lockToken = await acquireLock(LOCK_KEY, LOCK_TTL_SECONDS);
+  if (!lockToken) return null;
+
+  const run = {
+    id: uuid(),
+    trigger,
+    status: "queued",
+    createdAt: now(),
+    retentionDays: RETENTION_DAYS,
+    recentHours: RECENT_HOURS,
+    urls: null,
+    summary: null,
+    added: [],
+    updated: [],
+    expired: [],
+    failed: [],
+  };
+
+  try {
+    await saveRun(run);
+    await addToIndex(RUNS_INDEX, run.id);
+  } catch (e) {
+    await releaseLock(LOCK_KEY, lockToken);
+    throw e;
+  }
+
+  const done = enqueue(() => executeRun(run, signal)).finally(() =>
+    releaseLock(LOCK_KEY, lockToken).catch((e) => log.error("Could not release refresh lock", { error: e }))
+  );
+  return { run, done };
+}
+
+/**
+ * Most recent runs, newest first, with counts instead of URL lists
+ */
+export async function listRefreshRuns(limit = 50) {
+  const ids = await getIndex(RUNS_INDEX, limit);
+  const runs = await Promise.all(ids.map((id) => getRecord(RUN_KEY(id))));
+  return runs.filter(Boolean).map(summarize);
+}
+
+/**
+ * Full run record including the URLs it added, updated, expired and failed on, or null
+ */
+export function getRefreshRun(id) {
+  return getRecord(RUN_KEY(id));
+}
+
+/**
+ * Refresh every REFRESH_INTERVAL_MINUTES in this process (no-op when it's 0)
+ * The next run is scheduled when the previous one finishes, so slow runs never pile up;
+ * a run skipped because another process holds the lock just waits for the next tick
+ */
+export function startScheduler() {
+  if (!(INTERVAL_MINUTES > 0)) return;
+  const intervalMs = INTERVAL_MINUTES * 60 * 1000;
+
+  const tick = async () => {
+    try {
+      const started = await startRefresh({ trigger: "schedule" });
+      if (started) await started.done;
+      else log.info("Refresh already running elsewhere, skipping this tick");
+    } catch (e) {
+      log.error("Scheduled refresh crashed", { error: e });
+    }
+    setTimeout(tick, intervalMs);
+  };
+
+  log.info("Refresh scheduler started", { intervalMinutes: INTERVAL_MINUTES, retentionDays: RETENTION_DAYS });
+  setTimeout(tick, intervalMs);
+}
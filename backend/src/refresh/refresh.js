@@ -0,0 +1,29 @@
+// One-shot freshness run for cron: `npm run refresh`
+// Re-ingests the configured sources and recent articles and expires old ones (RETENTION_DAYS)
+import "dotenv/config";
+import { startRefresh } from "./freshness.js";
+import { log } from "../obs/logger.js";
+
+async function main() {
+  const started = await startRefresh({ trigger: "cli" });
+  if (!started) {
+    log.error("A refresh is already running");
+    process.exit(1);
+  }
+
+  const run = await started.done;
+  log.info("Refresh finished", {
+    runId: run.id,
+    status: run.status,
+    added: run.added.length,
+    updated: run.updated.length,
+    expired: run.expired.length,
+    failed: run.failed.length,
+  });
+  process.exit(run.status === "failed" ? 1 : 0);
+}
+
+main().catch((e) => {
+  log.error("Refresh failed", { error: e });
+  process.exit(1);
+});
@@ -0,0 +1,29 @@
+// External cross-encoder reranker reached over HTTP
+// RERANK_API=tei (default): text-embeddings-inference /rerank - { query, texts } -> [{ index, score }]
+// RERANK_API=cohere: Cohere/Jina-style /rerank - { model, query, documents } -> { results: [{ index, relevance_score }] }
+import axios from "axios";
+import { log } from "../obs/logger.js";
+
+const URL = process.env.RERANK_URL || "http://localhost:8081/rerank";
+const API = (process.env.RERANK_API || "tei").toLowerCase();
+const MODEL = process.env.RERANK_MODEL || undefined;
+
+const headers = () =>
+  process.env.RERANK_API_KEY ? { Authorization: `Bearer ${process.env.RERANK_API_KEY}` } : {};
+
+/**
+ * Score passages in input order (the endpoints return results sorted by score, so we map them back)
+ */
+export async function score(query, passages) {
+  const body = API === "cohere" ? { model: MODEL, query, documents: passages } : { query, texts: passages };
+  try {
+    const res = await axios.post(URL, body, { headers: headers(), timeout: 15000 });
+    const results = Array.isArray(res.data) ? res.data : res.data?.results || [];
+    const scores = passages.map(() => 0);
+    for (const r of results) scores[r.index] = r.score ?? r.relevance_score ?? 0;
+    return scores;
+  } catch (error) {
+    log.error("Rerank API error", { error: error.message, status: error.response?.status });
+    throw error;
+  }
+}
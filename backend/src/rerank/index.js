@@ -0,0 +1,44 @@
+// Reranker selection
+// RERANKER=none (default) | lexical (query-term overlap) | llm (the configured LLM grades passages)
+//   | http (external cross-encoder endpoint, see http.js)
+import * as lexical from "./lexical.js";
+import * as llm from "./llm.js";
+import * as http from "./http.js";
+import { timeStage } from "../obs/metrics.js";
+
+const PROVIDERS = { lexical, llm, http };
+
+export const RERANKERS = ["none", ...Object.keys(PROVIDERS)];
+
+const NAME = (process.env.RERANKER || "none").toLowerCase();
+if (!RERANKERS.includes(NAME)) {
+  throw new Error(`Unknown RERANKER "${NAME}" (expected one of: ${RERANKERS.join(", ")})`);
+}
+export const DEFAULT_RERANKER = NAME;
+
+// Same chunk key as rank fusion uses
+const keyOf = (r) => String(r.id ?? `${r.url}#${r.chunk}`);
+
+/**
+ * Rescore retrieved chunks against the query and sort them by the new score
+ * Each result keeps its retrieval score as `retrievalScore` and gets `rerankScore`;
+ * with "none" the results come back untouched.
+ * `scores` (a Map kept by the caller across calls for one query) holds chunks already scored,
+ * so only the new ones are sent to the reranker
+ */
+export async function rerank(query, results, name = NAME, { scores = new Map() } = {}) {
+  const provider = PROVIDERS[name];
+  if (!provider || !results.length) return results;
+
+  const fresh = results.filter((r) => !scores.has(keyOf(r)));
+  if (fresh.length) {
+    // Titles carry a lot of the signal for news, so they're scored with the text
+    const passages = fresh.map((r) => `${r.title || ""}\n${r.text || ""}`);
+    const freshScores = await timeStage("rerank", () => provider.score(query, passages));
+    fresh.forEach((r, i) => scores.set(keyOf(r), freshScores[i] ?? 0));
+  }
+
+  return results
+    .map((r) => ({ ...r, retrievalScore: r.score, rerankScore: scores.get(keyOf(r)), score: scores.get(keyOf(r)) }))
+    .sort((a, b) => b.rerankScore - a.rerankScore);
+}
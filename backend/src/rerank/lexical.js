@@ -0,0 +1,24 @@
+// Lexical-overlap reranker: scores a passage by how much of the query it covers
+// No network and no model - a cheap first step up from raw vector/BM25 order
+import { tokenize } from "../lexical/bm25.js";
+
+const bigrams = (terms) => terms.slice(1).map((t, i) => `${terms[i]} ${t}`);
+
+/**
+ * Score passages in input order: share of the query's terms they contain,
+ * plus a smaller bonus for query bigrams (phrases like "interest rate") found intact
+ */
+export async function score(query, passages) {
+  const qTerms = [...new Set(tokenize(query))];
+  const qBigrams = [...new Set(bigrams(tokenize(query)))];
+  if (!qTerms.length) return passages.map(() => 0);
+
+  return passages.map((passage) => {
+    const terms = tokenize(passage);
+    const vocab = new Set(terms);
+    const phrases = new Set(bigrams(terms));
+    const coverage = qTerms.filter((t) => vocab.has(t)).length / qTerms.length;
+    const phraseCoverage = qBigrams.length ? qBigrams.filter((b) => phrases.has(b)).length / qBigrams.length : 0;
+    return (coverage + 0.5 * phraseCoverage) / 1.5;
+  });
+}
@@ -0,0 +1,7 @@
+// LLM reranker: asks the configured chat model to grade each passage's relevance
+// Best quality of the built-in options, but costs an extra LLM call per question
+import { rankPassages } from "../llm/index.js";
+
+export async function score(query, passages) {
+  return rankPassages({ query, passages });
+}
@@ -3,17 +3,124 @@ import "dotenv/config";
 import express from "express";
 import cors from "cors";
 import { v4 as uuid } from "uuid";
-import { getHistory, resetSession } from "./cache/redis.js";
-import { handleChat } from "./chat/rag.js";
+import { getHistory, resetSession, getSessionMeta, updateSession, listSessions } from "./cache/redis.js";
+import { transcriptJson, transcriptMarkdown } from "./chat/transcript.js";
+import { handleChat, streamChat, RETRIEVAL_MODES, CITATION_POLICIES } from "./chat/rag.js";
+import { adminRouter } from "./admin/routes.js";
+import { corpusRouter } from "./corpus/routes.js";
+import { buildDigest } from "./digest/digest.js";
+import { startScheduler } from "./refresh/freshness.js";
+import { recordFeedback, RATINGS, REASONS } from "./feedback/feedback.js";
+import { guard, recordTokens } from "./auth/middleware.js";
+import { authEnabled } from "./auth/keys.js";
+import { normalizeLanguage } from "./lang/language.js";
+import { log, withContext } from "./obs/logger.js";
+import { registry, httpDuration } from "./obs/metrics.js";
+
+/**
+ * Validate the optional retrieval filters sent with a chat message
+ * Returns { filters } or { error } with a message for a 400 response
+ */
+function parseFilters(raw) {
+  if (raw == null) return { filters: undefined };
+  if (typeof raw !== "object" || Array.isArray(raw)) return { error: "filters must be an object" };
+
+  const { from, to, sources, categories, languages } = raw;
+  for (const [key, value] of Object.entries({ from, to })) {
+    if (value != null && Number.isNaN(Date.parse(value))) return { error: `filters.${key} must be a date` };
+  }
+  for (const [key, value] of Object.entries({ sources, categories, languages })) {
+    if (value != null && !Array.isArray(value)) return { error: `filters.${key} must be an array` };
+  }
+  if (languages?.some((l) => !normalizeLanguage(l))) return { error: "filters.languages must be language codes like \"hi\"" };
+  return { filters: { from, to, sources, categories, languages } };
+}
+
+/**
+ * Validate the optional retrieval mode ("vector", "keyword" or "hybrid")
+ */
+function parseRetrieval(raw) {
+  if (raw == null) return { retrieval: undefined };
+  if (!RETRIEVAL_MODES.includes(raw)) return { error: `retrieval must be one of ${RETRIEVAL_MODES.join(", ")}` };
+  return { retrieval: raw };
+}
+
+/**
+ * Validate the optional citation policy ("keep", "drop" or "regenerate")
+ */
+function parseCitationPolicy(raw) {
+  if (raw == null) return { citationPolicy: undefined };
+  if (!CITATION_POLICIES.includes(raw)) return { error: `citationPolicy must be one of ${CITATION_POLICIES.join(", ")}` };
+  return { citationPolicy: raw };
+}
+
+// Client ID for session listing: X-Client-Id header, or clientId in the body/query.
+// With API keys enabled it defaults to the key's ID, so a key can always list its own sessions.
+const clientIdOf = (req) =>
+  String(req.get("x-client-id") || req.body?.clientId || req.query.clientId || "").trim() ||
+  (authEnabled() ? req.client.id : null);
+
+// API key that owns new sessions (null while keys aren't configured)
+const ownerOf = (req) => (authEnabled() ? req.client.id : null);
+
+/**
+ * Route middleware: only let the API key that created a session read or change it
+ * 404 for unknown sessions, 403 for sessions owned by another key. No-op while keys aren't configured.
+ */
+async function requireSessionOwner(req, res, next) {
+  const meta = await getSessionMeta(req.params.id);
+  if (authEnabled()) {
+    if (!meta) return res.status(404).json({ error: "session not found" });
+    if (meta.owner !== req.client.id) return res.status(403).json({ error: "session belongs to another API key" });
+  }
+  res.locals.sessionMeta = meta;
+  next();
+}
+
+/**
+ * Check that a chat message may be added to a session: new sessions are fine,
+ * existing ones must belong to the calling key. Returns an error message or null.
+ */
+async function sessionAccessError(req, sessionId) {
+  if (!authEnabled() || !sessionId) return null;
+  const meta = await getSessionMeta(sessionId);
+  return meta && meta.owner !== req.client.id ? "session belongs to another API key" : null;
+}
+
+// Total tokens of a chat turn, for the daily token quota
+const totalTokens = (usage) => (usage ? usage.promptTokens + usage.completionTokens : 0);
+
+// Browser origins allowed to call the API (comma-separated); unset means any origin
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "").split(",").map((o) => o.trim()).filter(Boolean);
 
 // Create Express app instance
 const app = express();
 
-// Enable CORS for all routes (allows frontend to call this API)
-app.use(cors());
+// Enable CORS (allows frontend to call this API) - restricted to CORS_ORIGINS when set
+app.use(cors(CORS_ORIGINS.length ? { origin: CORS_ORIGINS } : {}));
 
 // Parse JSON requests with 1MB limit to handle large messages
 app.use(express.json({ limit: "1mb" }));
+
+// Tag every request with an ID (taken from X-Request-Id if the caller sent one) that all its
+// log lines carry, and log/measure each request once it finishes
+app.use((req, res, next) => {
+  const requestId = String(req.get("x-request-id") || "").slice(0, 128) || uuid();
+  res.set("X-Request-Id", requestId);
+  const started = process.hrtime.bigint();
+
+  res.on("finish", () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    // Label by route pattern, not the raw path, so session IDs don't explode the metric
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+    httpDuration.observe({ method: req.method, route, status: res.statusCode }, seconds);
+    withContext({ requestId }, () =>
+      log.info("request", { method: req.method, path: req.path, route, status: res.statusCode, ms: Math.round(seconds * 1000), client: req.client?.id })
+    );
+  });
+
+  withContext({ requestId }, next);
+});
 // status check
 app.get("/", (req, res) => {
   res.send("rag-news-bot backend up!");
@@ -22,6 +129,21 @@ app.get("/", (req, res) => {
 // Health check endpoint - simple way to verify the API is running
 app.get("/health", (_req, res) => res.json({ ok: true }));
 
+// Prometheus metrics (stage latencies, retries, retrieval scores, cache hit rates...)
+// Open while no API keys are configured (development); after that scrapers need an admin key
+const [adminAuth, adminRateLimit] = guard("admin");
+const metricsAccess = (req, res, next) => {
+  if (!authEnabled()) return next();
+  adminAuth(req, res, () => adminRateLimit(req, res, next));
+};
+app.get("/metrics", metricsAccess, async (_req, res) => {
+  res.set("Content-Type", registry.contentType).send(await registry.metrics());
+});
+
+// Everything under these paths needs an API key with the "chat" scope (once keys are configured)
+// and counts against the caller's rate limit and quotas
+app.use(["/api/chat", "/api/session", "/api/sessions", "/api/digest"], guard("chat"));
+
 // Main chat endpoint - handles user messages and returns AI responses
 app.post("/api/chat", async (req, res) => {
   try {
@@ -31,32 +153,205 @@ app.post("/api/chat", async (req, res) => {
     // Validate that we have a message to process
     if (!message) return res.status(400).json({ error: "message required" });
     
+    // Optional retrieval filters: { from, to, sources, categories, languages }
+    const { filters, error } = parseFilters(req.body.filters);
+    if (error) return res.status(400).json({ error });
+    
+    // Optional retrieval mode so different strategies can be compared
+    const { retrieval, error: modeError } = parseRetrieval(req.body.retrieval);
+    if (modeError) return res.status(400).json({ error: modeError });
+    
+    // What to do with answers that make claims without citing a source
+    const { citationPolicy, error: policyError } = parseCitationPolicy(req.body.citationPolicy);
+    if (policyError) return res.status(400).json({ error: policyError });
+    
+    // Callers can only continue their own sessions
+    const accessError = await sessionAccessError(req, sessionId);
+    if (accessError) return res.status(403).json({ error: accessError });
+    
     // Generate a new session ID if one wasn't provided
     if (!sessionId) sessionId = uuid();
 
     // Process the chat message through our RAG pipeline
-    const { reply, citations } = await handleChat({ sessionId, message });
+    const result = await handleChat({
+      sessionId,
+      clientId: clientIdOf(req),
+      owner: ownerOf(req),
+      message,
+      filters,
+      retrieval,
+      citationPolicy,
+      // Scores from every retrieval stage (search, rerank, diversity, merge) for tuning
+      debug: req.body.debug === true
+    });
+    await recordTokens(req.client, totalTokens(result.usage));
     
-    // Return the AI response along with source citations
-    res.json({ reply, citations, sessionId });
+    // Return the AI response along with source citations (and how they were retrieved)
+    res.json({ ...result, sessionId });
   } catch (e) {
-    console.error(e);
+    log.error("Chat request failed", { error: e });
+    res.status(500).json({ error: e.message || "server_error" });
+  }
+});
+
+// Streaming chat endpoint - same as /api/chat but sends the reply as Server-Sent Events
+// Events: "citations" (sources), "token" (piece of the reply), "done" (final reply), "error"
+app.post("/api/chat/stream", async (req, res) => {
+  let { sessionId, message } = req.body || {};
+  if (!message) return res.status(400).json({ error: "message required" });
+  const { filters, error } = parseFilters(req.body.filters);
+  if (error) return res.status(400).json({ error });
+  const { retrieval, error: modeError } = parseRetrieval(req.body.retrieval);
+  if (modeError) return res.status(400).json({ error: modeError });
+  const accessError = await sessionAccessError(req, sessionId);
+  if (accessError) return res.status(403).json({ error: accessError });
+  if (!sessionId) sessionId = uuid();
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // stop proxies like nginx from buffering the stream
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  // Cancel generation if the client disconnects before we're done
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  try {
+    const events = streamChat({
+      sessionId,
+      clientId: clientIdOf(req),
+      owner: ownerOf(req),
+      message,
+      filters,
+      retrieval,
+      signal: controller.signal,
+      debug: req.body.debug === true,
+    });
+    for await (const evt of events) {
+      if (evt.type === "citations") send("citations", { citations: evt.citations, query: evt.query, retrieval: evt.retrieval, debug: evt.debug, sessionId });
+      else if (evt.type === "token") send("token", { text: evt.text });
+      else if (evt.type === "done") {
+        await recordTokens(req.client, totalTokens(evt.usage));
+        send("done", { turnId: evt.turnId, reply: evt.reply, citations: evt.citations, verification: evt.verification, usage: evt.usage, llm: evt.llm, sessionId });
+      }
+    }
+  } catch (e) {
+    if (!controller.signal.aborted) log.error("Streaming chat failed", { error: e });
+    if (!controller.signal.aborted) send("error", { error: e.message || "server_error" });
+  }
+  res.end();
+});
+
+// "Catch me up" digest: recent stories, each with a cited summary
+// Query: hours (default 24) or from/to, q (topic), sources (comma-separated), stories (max, default 5)
+app.get("/api/digest", async (req, res) => {
+  const { from, to, q } = req.query;
+  for (const [key, value] of Object.entries({ from, to })) {
+    if (value != null && Number.isNaN(Date.parse(value))) return res.status(400).json({ error: `${key} must be a date` });
+  }
+  const hours = req.query.hours != null ? Number(req.query.hours) : 24;
+  if (!(hours > 0 && hours <= 24 * 30)) return res.status(400).json({ error: "hours must be between 0 and 720" });
+  const stories = req.query.stories != null ? Number(req.query.stories) : 5;
+  if (!(Number.isInteger(stories) && stories >= 1 && stories <= 20)) return res.status(400).json({ error: "stories must be 1-20" });
+  const sources = String(req.query.sources || "").split(",").map((s) => s.trim()).filter(Boolean);
+
+  try {
+    const digest = await buildDigest({ hours, from, to, q: String(q || "").trim() || undefined, sources, stories });
+    // Cached digests were already paid for
+    if (!digest.cached) await recordTokens(req.client, totalTokens(digest.usage));
+    res.json(digest);
+  } catch (e) {
+    log.error("Digest request failed", { error: e });
     res.status(500).json({ error: e.message || "server_error" });
   }
 });
 
 // Get conversation history for a specific session
-app.get("/api/session/:id/history", async (req, res) => {
+app.get("/api/session/:id/history", requireSessionOwner, async (req, res) => {
   const messages = await getHistory(req.params.id);
   res.json({ sessionId: req.params.id, messages });
 });
 
+// List a client's sessions (most recently active first)
+app.get("/api/sessions", async (req, res) => {
+  const clientId = clientIdOf(req);
+  if (!clientId) return res.status(400).json({ error: "X-Client-Id header or clientId required" });
+  const limit = Math.min(Number(req.query.limit) || 50, 200);
+  const sessions = (await listSessions(clientId, limit)).filter((m) => !authEnabled() || m.owner === req.client.id);
+  res.json({ clientId, sessions });
+});
+
+// Session metadata: title, owner, timestamps, message count, pinned
+app.get("/api/session/:id", requireSessionOwner, async (req, res) => {
+  const meta = res.locals.sessionMeta;
+  if (!meta) return res.status(404).json({ error: "session not found" });
+  res.json(meta);
+});
+
+// Rename and/or pin a session - body { title?, pinned? }
+app.patch("/api/session/:id", requireSessionOwner, async (req, res) => {
+  const { title, pinned } = req.body || {};
+  if (title !== undefined && typeof title !== "string") return res.status(400).json({ error: "title must be a string" });
+  if (pinned !== undefined && typeof pinned !== "boolean") return res.status(400).json({ error: "pinned must be a boolean" });
+
+  const meta = await updateSession(req.params.id, { title, pinned });
+  if (!meta) return res.status(404).json({ error: "session not found" });
+  res.json(meta);
+});
+
+// Export a transcript as JSON (default) or Markdown (?format=md)
+app.get("/api/session/:id/export", requireSessionOwner, async (req, res) => {
+  const meta = res.locals.sessionMeta;
+  const messages = await getHistory(req.params.id);
+  if (!meta && !messages.length) return res.status(404).json({ error: "session not found" });
+
+  const format = String(req.query.format || "json").toLowerCase();
+  const name = `transcript-${req.params.id}`;
+  if (format === "md" || format === "markdown") {
+    res.type("text/markdown").attachment(`${name}.md`).send(transcriptMarkdown(meta, messages));
+  } else if (format === "json") {
+    res.attachment(`${name}.json`).json(transcriptJson(meta, messages));
+  } else {
+    res.status(400).json({ error: "format must be json or md" });
+  }
+});
+
+// Thumbs up/down on one answer - body { turnId, rating: "up" | "down", reason?, comment? }
+// turnId is returned with every chat response (and the stream's "done" event)
+app.post("/api/session/:id/feedback", requireSessionOwner, async (req, res) => {
+  const { turnId, rating, reason, comment } = req.body || {};
+  if (typeof turnId !== "string" || !turnId) return res.status(400).json({ error: "turnId required" });
+  if (!RATINGS.includes(rating)) return res.status(400).json({ error: `rating must be one of ${RATINGS.join(", ")}` });
+  if (reason != null && !REASONS.includes(reason)) return res.status(400).json({ error: `reason must be one of ${REASONS.join(", ")}` });
+  if (comment != null && typeof comment !== "string") return res.status(400).json({ error: "comment must be a string" });
+
+  const feedback = await recordFeedback(req.params.id, turnId, { rating, reason, comment });
+  if (!feedback) return res.status(404).json({ error: "answer not found in this session" });
+  res.status(201).json({ ok: true, turnId, rating: feedback.rating, reason: feedback.reason });
+});
+
 // Clear/reset a conversation session
-app.delete("/api/session/:id", async (req, res) => {
+app.delete("/api/session/:id", requireSessionOwner, async (req, res) => {
   await resetSession(req.params.id);
   res.json({ ok: true });
 });
 
+// Browse and search the ingested articles, corpus statistics
+app.use("/api/corpus", corpusRouter);
+
+// Admin routes (ingestion jobs) - require an API key with the "admin" scope
+app.use("/api/admin", adminRouter);
+
 // Start the server on the specified port (defaults to 3000)
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`API on :${PORT}`));
+app.listen(PORT, () => log.info("API listening", { port: Number(PORT) }));
+
+// Periodic re-ingestion and expiry of stale articles (REFRESH_INTERVAL_MINUTES)
+startScheduler();
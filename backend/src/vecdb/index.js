@@ -0,0 +1,34 @@
+// Vector store selection
+// VECTOR_STORE=qdrant (default, needs QDRANT_URL) | local (embedded, file-persisted - no server needed)
+// Both backends expose the same functions with the same results; filters are built in schema.js
+import * as qdrant from "./qdrant.js";
+import * as local from "./local.js";
+
+export { buildFilter, ageFilter } from "./schema.js";
+
+const BACKENDS = { qdrant, local };
+
+export const VECTOR_STORE = (process.env.VECTOR_STORE || "qdrant").toLowerCase();
+const backend = BACKENDS[VECTOR_STORE];
+if (!backend) {
+  throw new Error(`Unknown VECTOR_STORE "${VECTOR_STORE}" (expected one of: ${Object.keys(BACKENDS).join(", ")})`);
+}
+
+export const {
+  ensureCollection,
+  getCollectionInfo,
+  upsertPoints,
+  search,
+  scrollWithVectors,
+  getPoints,
+  deleteStaleChunks,
+  deleteByUrls,
+  listUrls,
+  listArticleFields,
+  setPayload,
+  scrollArticles,
+  getArticleChunks,
+  countChunks,
+  scrollAll,
+  deleteCollection,
+} = backend;
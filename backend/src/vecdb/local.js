@@ -0,0 +1,416 @@
+// Embedded vector store (VECTOR_STORE=local) - see index.js
+// Brute-force cosine search over an in-memory copy of each collection, persisted to one JSON file
+// per collection (VECTOR_STORE_DIR, default data/vectors). Meant for small deployments, demos and CI:
+// no server, and the same results as the Qdrant backend for everything this app asks of it.
+// Several processes (the API server, the ingest CLIs) can share a directory: a writer takes the
+// collection's lockfile, re-reads the file, and keeps the lock until its batched changes are saved.
+// The lock goes by process ID, so the directory must not be shared between machines.
+import fs from "fs";
+import path from "path";
+import { buildFilter, matchesFilter, ARTICLE_FIELDS } from "./schema.js";
+import { log } from "../obs/logger.js";
+
+const STORE_DIR = path.resolve(process.env.VECTOR_STORE_DIR || path.join("data", "vectors"));
+
+// Same page size the Qdrant backend scrolls with
+const PAGE_SIZE = 256;
+
+// Writes within this many ms of the first one are saved together (the whole file is rewritten on save)
+const FLUSH_MS = Number(process.env.VECTOR_STORE_FLUSH_MS ?? 200);
+// How long a write waits for another process's lock before failing
+const LOCK_WAIT_MS = Number(process.env.VECTOR_STORE_LOCK_WAIT_MS ?? 30000);
+
+// Loaded collections: name -> { dim, points: Map(idKey -> { id, vector, payload }), mtime }
+// A collection is re-read when another process (the ingest CLI, the API server) rewrites its file
+const collections = new Map();
+
+// Collections this process holds the write lock of: name -> { ready (Promise), timer, dirty, current }
+const writers = new Map();
+
+const fileOf = (name) => path.join(STORE_DIR, `${encodeURIComponent(name)}.json`);
+const lockOf = (name) => `${fileOf(name)}.lock`;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Point IDs are UUID strings or integers, like in Qdrant; both are keyed by their string form
+const idKey = (id) => String(id);
+
+// Vectors are stored as base64 float32, about a quarter the size of JSON number arrays
+const encodeVector = (v) => Buffer.from(Float32Array.from(v).buffer).toString("base64");
+const decodeVector = (s) => {
+  const buf = Buffer.from(s, "base64");
+  return Array.from(new Float32Array(buf.buffer, buf.byteOffset, buf.byteLength / 4));
+};
+
+// Cosine distance: vectors are normalised on the way in (as Qdrant does), so search is a dot product
+const normalize = (v) => {
+  const norm = Math.sqrt(v.reduce((s, x) => s + x * x, 0)) || 1;
+  return v.map((x) => x / norm);
+};
+const dot = (a, b) => {
+  let s = 0;
+  for (let i = 0; i < a.length; i++) s += a[i] * b[i];
+  return s;
+};
+
+/**
+ * The collection as currently on disk, or null if it doesn't exist
+ * While this process holds the write lock, its copy (with unsaved changes) is the current one
+ */
+function load(name) {
+  if (writers.get(name)?.current) return collections.get(name) ?? null;
+  return read(name);
+}
+
+/**
+ * The collection from its file, re-read only if the file changed since it was last loaded
+ */
+function read(name) {
+  let mtime;
+  try {
+    mtime = fs.statSync(fileOf(name)).mtimeMs;
+  } catch {
+    collections.delete(name);
+    return null;
+  }
+
+  const cached = collections.get(name);
+  if (cached && cached.mtime === mtime) return cached;
+
+  const data = JSON.parse(fs.readFileSync(fileOf(name), "utf8"));
+  const points = new Map(
+    data.points.map((p) => [idKey(p.id), { id: p.id, vector: decodeVector(p.vector), payload: p.payload }])
+  );
+  const collection = { dim: data.dim, points, mtime };
+  collections.set(name, collection);
+  return collection;
+}
+
+/**
+ * A collection that must exist - operations on a missing one fail, as they do in Qdrant
+ */
+function open(name) {
+  const collection = load(name);
+  if (!collection) throw new Error(`Collection "${name}" not found in ${STORE_DIR}`);
+  return collection;
+}
+
+/**
+ * Write a collection atomically so a reader in another process never sees half a file
+ */
+function save(name, collection) {
+  fs.mkdirSync(STORE_DIR, { recursive: true });
+  const file = fileOf(name);
+  const tmp = `${file}.tmp`;
+  const points = [...collection.points.values()].map((p) => ({ id: p.id, vector: encodeVector(p.vector), payload: p.payload }));
+  fs.writeFileSync(tmp, JSON.stringify({ name, dim: collection.dim, distance: "Cosine", points }));
+  fs.renameSync(tmp, file);
+  collection.mtime = fs.statSync(file).mtimeMs;
+  collections.set(name, collection);
+}
+
+// ---- Writing: one process at a time per collection ----
+
+/**
+ * Whether a lockfile was left by a process that no longer runs
+ */
+function isStale(lockFile) {
+  const pid = Number(fs.readFileSync(lockFile, "utf8"));
+  if (!pid) return true;
+  try {
+    process.kill(pid, 0);
+    return false;
+  } catch (e) {
+    return e.code === "ESRCH";
+  }
+}
+
+/**
+ * Take a collection's lockfile, waiting up to LOCK_WAIT_MS for another process to let go
+ */
+async function acquire(name) {
+  fs.mkdirSync(STORE_DIR, { recursive: true });
+  const lockFile = lockOf(name);
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  for (;;) {
+    try {
+      fs.writeFileSync(lockFile, String(process.pid), { flag: "wx" });
+      return;
+    } catch (e) {
+      if (e.code !== "EEXIST") throw e;
+    }
+    try {
+      if (isStale(lockFile)) {
+        log.warn("Removing stale vector store lock", { collection: name, lockFile });
+        fs.rmSync(lockFile, { force: true });
+        continue;
+      }
+    } catch {
+      // Released while we looked - try again
+      continue;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Collection "${name}" is being written by another process (${lockFile}); retry when it's done`);
+    }
+    await sleep(50);
+  }
+}
+
+/**
+ * Save a collection's pending changes and release its lock
+ */
+function flush(name) {
+  const writer = writers.get(name);
+  if (!writer) return;
+  clearTimeout(writer.timer);
+  writers.delete(name);
+  try {
+    const collection = collections.get(name);
+    if (collection && writer.dirty) save(name, collection);
+  } catch (e) {
+    // Drop the unsaved copy so readers go back to what's on disk
+    collections.delete(name);
+    throw e;
+  } finally {
+    fs.rmSync(lockOf(name), { force: true });
+  }
+}
+
+// A CLI that calls process.exit() still saves what it wrote
+process.on("exit", () => [...writers.keys()].forEach(flush));
+
+/**
+ * Apply a change to a collection under its lock
+ * mutate() works on the collection as load()/open() return it and returns false if it changed
+ * nothing; changes are saved together with the other writes of the next FLUSH_MS
+ */
+async function write(name, mutate) {
+  let writer = writers.get(name);
+  if (!writer) {
+    writer = { ready: acquire(name), timer: null, dirty: false, current: false };
+    writers.set(name, writer);
+    try {
+      await writer.ready;
+    } catch (e) {
+      writers.delete(name);
+      throw e;
+    }
+    // Pick up whatever the previous writer saved before we took over
+    read(name);
+    writer.current = true;
+    writer.timer = setTimeout(() => {
+      try {
+        flush(name);
+      } catch (e) {
+        log.error("Saving local collection failed, its latest writes are lost", { collection: name, error: e.message });
+      }
+    }, FLUSH_MS);
+    // Nothing to wait for: the exit handler saves whatever is still pending
+    writer.timer.unref();
+  } else {
+    await writer.ready;
+  }
+
+  if (mutate() !== false) writer.dirty = true;
+}
+
+// Payload restricted to some fields, like Qdrant's with_payload: { include }
+const pick = (payload, fields) => (fields ? Object.fromEntries(fields.filter((f) => f in payload).map((f) => [f, payload[f]])) : payload);
+
+// Payloads are copied out so callers can't change stored points by accident
+const copy = (payload) => JSON.parse(JSON.stringify(payload));
+
+/**
+ * Points matching a filter in ID order, from `offset` (an ID, inclusive) on
+ * Returns { points, nextOffset } like Qdrant's scroll: nextOffset is the ID of the next point, or null
+ */
+function scroll(name, { filter, offset, limit = PAGE_SIZE } = {}) {
+  const matching = [...open(name).points.values()]
+    .filter((p) => matchesFilter(p, filter))
+    .sort((a, b) => (idKey(a.id) < idKey(b.id) ? -1 : idKey(a.id) > idKey(b.id) ? 1 : 0));
+  const start = offset == null ? 0 : matching.findIndex((p) => idKey(p.id) >= idKey(offset));
+  if (start === -1) return { points: [], nextOffset: null };
+  const page = matching.slice(start, start + limit);
+  return { points: page, nextOffset: matching[start + limit]?.id ?? null };
+}
+
+/**
+ * Make sure a collection exists; a new one is created empty with the given vector size
+ */
+export async function ensureCollection(name, dim) {
+  if (load(name)) return;
+  await write(name, () => {
+    // Another process may have created it while we waited for the lock
+    if (load(name)) return false;
+    collections.set(name, { dim, points: new Map(), mtime: null });
+    log.info("Local collection created", { collection: name, dim, dir: STORE_DIR });
+  });
+}
+
+/**
+ * Describe an existing collection: vector size and the embedding model of a stored point
+ * Returns null if the collection doesn't exist
+ */
+export async function getCollectionInfo(name) {
+  const collection = load(name);
+  if (!collection) return null;
+  const [first] = scroll(name, { limit: 1 }).points;
+  return { dim: collection.dim, points: collection.points.size, embedModel: first?.payload.embedModel ?? null };
+}
+
+/**
+ * Add or update points: [{ id, vector, payload }]
+ */
+export async function upsertPoints(name, points) {
+  await write(name, () => {
+    const collection = open(name);
+    const wrong = points.find((p) => p.vector.length !== collection.dim);
+    if (wrong) {
+      throw new Error(`Vector of ${wrong.vector.length} dimensions for a ${collection.dim}-d collection "${name}"`);
+    }
+    for (const p of points) {
+      collection.points.set(idKey(p.id), { id: p.id, vector: normalize(p.vector), payload: copy(p.payload || {}) });
+    }
+  });
+}
+
+/**
+ * The k points most similar to `vector` that match the chat filters, best first
+ */
+export async function search(name, vector, k = 5, filters, { withVector = false } = {}) {
+  const filter = buildFilter(filters);
+  const query = normalize(vector);
+  return [...open(name).points.values()]
+    .filter((p) => matchesFilter(p, filter))
+    .map((p) => ({ p, score: dot(query, p.vector) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k)
+    .map(({ p, score }) => ({ id: p.id, score, ...copy(p.payload), ...(withVector && { vector: [...p.vector] }) }));
+}
+
+/**
+ * Read up to `limit` points matching chat filters, with their vectors
+ */
+export async function scrollWithVectors(name, filters, limit = 500) {
+  const { points } = scroll(name, { filter: buildFilter(filters), limit });
+  return points.map((p) => ({ id: p.id, ...copy(p.payload), vector: [...p.vector] }));
+}
+
+/**
+ * Fetch points by ID (payload only, no vectors); unknown IDs are left out
+ */
+export async function getPoints(name, ids) {
+  const { points } = open(name);
+  return ids.map((id) => points.get(idKey(id))).filter(Boolean).map((p) => ({ id: p.id, ...copy(p.payload) }));
+}
+
+/**
+ * Delete the points matching a filter
+ */
+function deleteWhere(name, filter) {
+  return write(name, () => {
+    const collection = open(name);
+    let removed = 0;
+    for (const [key, p] of collection.points) {
+      if (!matchesFilter(p, filter)) continue;
+      collection.points.delete(key);
+      removed++;
+    }
+    return removed > 0;
+  });
+}
+
+/**
+ * Delete the chunks of one article that don't belong to its current version
+ */
+export async function deleteStaleChunks(name, url, hash) {
+  await deleteWhere(name, {
+    must: [{ key: "url", match: { value: url } }],
+    must_not: [{ key: "hash", match: { value: hash } }],
+  });
+}
+
+/**
+ * Delete every chunk belonging to the given article URLs
+ */
+export async function deleteByUrls(name, urls) {
+  if (!urls.length) return;
+  await deleteWhere(name, { must: [{ key: "url", match: { any: urls } }] });
+}
+
+/**
+ * List the distinct article URLs stored in a collection, optionally only those matching a filter
+ */
+export async function listUrls(name, filter) {
+  return [...new Set(scroll(name, { filter, limit: Infinity }).points.map((p) => p.payload.url).filter(Boolean))];
+}
+
+/**
+ * Chosen payload fields of every article's first chunk, one entry per URL
+ */
+export async function listArticleFields(name, fields) {
+  const { points } = scroll(name, { filter: { must: [{ key: "chunk", match: { value: 0 } }] }, limit: Infinity });
+  return points.map((p) => copy(pick(p.payload, fields)));
+}
+
+/**
+ * Merge fields into the payload of every chunk of an article, or of the given point IDs
+ */
+export async function setPayload(name, payload, { url, ids }) {
+  const filter = ids ? { must: [{ has_id: ids }] } : { must: [{ key: "url", match: { value: url } }] };
+  await write(name, () => {
+    for (const p of open(name).points.values()) {
+      if (matchesFilter(p, filter)) Object.assign(p.payload, copy(payload));
+    }
+  });
+}
+
+/**
+ * Page through the articles in a collection, one entry per URL (see the Qdrant backend)
+ * Returns { articles, nextOffset } - pass nextOffset back as `offset` for the next page
+ */
+export async function scrollArticles(name, { limit = 20, offset, title } = {}) {
+  const must = [{ key: "chunk", match: { value: 0 } }];
+  if (title) must.push({ key: "title", match: { text: title } });
+  const { points, nextOffset } = scroll(name, { filter: { must }, offset, limit });
+  return { articles: points.map((p) => copy(pick(p.payload, ARTICLE_FIELDS))), nextOffset };
+}
+
+/**
+ * Every chunk of one article, in chunk order (payloads only)
+ */
+export async function getArticleChunks(name, url) {
+  const { points } = scroll(name, { filter: { must: [{ key: "url", match: { value: url } }] }, limit: Infinity });
+  return points.map((p) => ({ id: p.id, ...copy(p.payload) })).sort((a, b) => (a.chunk ?? 0) - (b.chunk ?? 0));
+}
+
+/**
+ * Number of chunks stored for an article
+ */
+export async function countChunks(name, url) {
+  return scroll(name, { filter: { must: [{ key: "url", match: { value: url } }] }, limit: Infinity }).points.length;
+}
+
+/**
+ * Read every point's payload in a collection (no vectors)
+ */
+export async function scrollAll(name) {
+  return scroll(name, { limit: Infinity }).points.map((p) => ({ id: p.id, ...copy(p.payload) }));
+}
+
+/**
+ * Delete a collection and its file
+ */
+export async function deleteCollection(name) {
+  await write(name, () => {
+    // Pending writes go with it: flush() has nothing left to save
+    collections.delete(name);
+    try {
+      fs.unlinkSync(fileOf(name));
+      log.info("Collection deleted", { collection: name });
+    } catch (error) {
+      log.warn("Collection does not exist or could not be deleted", { collection: name, error: error.message });
+    }
+    return false;
+  });
+}
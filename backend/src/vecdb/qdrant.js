@@ -1,14 +1,34 @@
-// Import Qdrant client for vector database operations
+// Qdrant backend of the vector store (VECTOR_STORE=qdrant, the default) - see index.js
 import { QdrantClient } from "@qdrant/js-client-rest";
+import { buildFilter, ARTICLE_FIELDS } from "./schema.js";
+import { log } from "../obs/logger.js";
 
-// Initialize the Qdrant client with our configuration
+// The Qdrant client, created on first use so other backends never need QDRANT_URL
 // This connects us to our vector database where we store news article embeddings
-console.log('QDRANT_URL:', process.env.QDRANT_URL);
-console.log('QDRANT_API_KEY loaded:', process.env.QDRANT_API_KEY ? 'YES' : 'NO');
-export const qdrant = new QdrantClient({
-  url: process.env.QDRANT_URL,
-  apiKey: process.env.QDRANT_API_KEY || undefined,
-});
+let client = null;
+const qdrant = () => {
+  if (!client) {
+    client = new QdrantClient({
+      url: process.env.QDRANT_URL,
+      apiKey: process.env.QDRANT_API_KEY || undefined,
+    });
+  }
+  return client;
+};
+
+// Payload fields we create indexes for, with their Qdrant schema type
+const PAYLOAD_INDEXES = {
+  url: "keyword",
+  source: "keyword",
+  publisher: "keyword",
+  category: "keyword",
+  language: "keyword",
+  clusterId: "keyword",
+  publishedTs: "integer",
+  ingestedTs: "integer",
+  chunk: "integer",
+  title: "text",
+};
 
 /**
  * Make sure a collection exists in our vector database
@@ -17,12 +37,45 @@ export const qdrant = new QdrantClient({
 export async function ensureCollection(name, dim) {
   try {
     // Try to get the collection - if it exists, we're good
-    await qdrant.getCollection(name);
+    await qdrant().getCollection(name);
   } catch {
     // Collection doesn't exist, so create it
     // We use cosine distance for similarity search (good for text embeddings)
-    await qdrant.createCollection(name, { vectors: { size: dim, distance: "Cosine" } });
+    await qdrant().createCollection(name, { vectors: { size: dim, distance: "Cosine" } });
+  }
+
+  // Index the fields we filter on: URL for incremental ingestion, the rest for search filters
+  for (const [field, schema] of Object.entries(PAYLOAD_INDEXES)) {
+    try {
+      await qdrant().createPayloadIndex(name, { field_name: field, field_schema: schema, wait: true });
+    } catch {
+      // Index already exists
+    }
+  }
+}
+
+/**
+ * Describe an existing collection: vector size and the embedding model of a stored point
+ * Returns null if the collection doesn't exist
+ */
+export async function getCollectionInfo(name) {
+  let info;
+  try {
+    info = await qdrant().getCollection(name);
+  } catch {
+    return null;
   }
+  const vectors = info.config?.params?.vectors;
+  const { points } = await qdrant().scroll(name, {
+    limit: 1,
+    with_payload: { include: ["embedModel"] },
+    with_vector: false,
+  });
+  return {
+    dim: vectors?.size ?? null,
+    points: info.points_count ?? 0,
+    embedModel: points[0]?.payload?.embedModel ?? null,
+  };
 }
 
 /**
@@ -31,19 +84,189 @@ export async function ensureCollection(name, dim) {
  */
 export async function upsertPoints(name, points) {
   // points should be an array of objects: [{ id, vector, payload }]
-  await qdrant.upsert(name, { points });
+  await qdrant().upsert(name, { wait: true, points });
 }
 
 /**
  * Search for similar vectors in our collection
  * This is how we find relevant news articles for user questions
  */
-export async function search(name, vector, k = 5) {
-  // Search for the k most similar vectors
-  const res = await qdrant.search(name, { vector, limit: k });
+export async function search(name, vector, k = 5, filters, { withVector = false } = {}) {
+  // Search for the k most similar vectors, optionally restricted by date/source/category
+  const res = await qdrant().search(name, { vector, limit: k, filter: buildFilter(filters), with_vector: withVector });
   
-  // Return results with similarity scores and metadata
-  return res.map((r) => ({ score: r.score, ...r.payload }));
+  // Return results with similarity scores and metadata (and the stored vector when asked for)
+  return res.map((r) => ({ id: r.id, score: r.score, ...r.payload, ...(withVector && { vector: r.vector }) }));
+}
+
+/**
+ * Read up to `limit` points matching chat filters, with their vectors
+ * Used by the digest to cluster recent chunks
+ */
+export async function scrollWithVectors(name, filters, limit = 500) {
+  const out = [];
+  let offset = undefined;
+  do {
+    const res = await qdrant().scroll(name, {
+      limit: Math.min(256, limit - out.length),
+      offset,
+      filter: buildFilter(filters),
+      with_payload: true,
+      with_vector: true,
+    });
+    res.points.forEach((p) => out.push({ id: p.id, ...p.payload, vector: p.vector }));
+    offset = res.next_page_offset ?? undefined;
+  } while (offset !== undefined && out.length < limit);
+  return out;
+}
+
+/**
+ * Fetch points by ID (payload only, no vectors)
+ * Used by ingestion to see what we already stored for an article
+ */
+export async function getPoints(name, ids) {
+  const res = await qdrant().retrieve(name, { ids, with_payload: true, with_vector: false });
+  return res.map((r) => ({ id: r.id, ...r.payload }));
+}
+
+/**
+ * Delete the chunks of one article that don't belong to its current version
+ * Anything for this URL whose content hash differs from `hash` is removed
+ */
+export async function deleteStaleChunks(name, url, hash) {
+  await qdrant().delete(name, {
+    wait: true,
+    filter: {
+      must: [{ key: "url", match: { value: url } }],
+      must_not: [{ key: "hash", match: { value: hash } }],
+    },
+  });
+}
+
+/**
+ * Delete every chunk belonging to the given article URLs
+ */
+export async function deleteByUrls(name, urls) {
+  if (!urls.length) return;
+  await qdrant().delete(name, {
+    wait: true,
+    filter: { must: [{ key: "url", match: { any: urls } }] },
+  });
+}
+
+/**
+ * List the distinct article URLs stored in a collection, optionally only those matching a filter
+ * Pages through the whole collection with scroll, reading only the url field
+ */
+export async function listUrls(name, filter) {
+  const urls = new Set();
+  let offset = undefined;
+  do {
+    const res = await qdrant().scroll(name, {
+      limit: 256,
+      offset,
+      filter,
+      with_payload: { include: ["url"] },
+      with_vector: false,
+    });
+    res.points.forEach((p) => p.payload?.url && urls.add(p.payload.url));
+    offset = res.next_page_offset ?? undefined;
+  } while (offset !== undefined);
+  return [...urls];
+}
+
+/**
+ * Chosen payload fields of every article's first chunk, one entry per URL
+ * Used by ingestion to load the near-duplicate signatures (stored on chunk 0 only)
+ */
+export async function listArticleFields(name, fields) {
+  const out = [];
+  let offset = undefined;
+  do {
+    const res = await qdrant().scroll(name, {
+      limit: 256,
+      offset,
+      filter: { must: [{ key: "chunk", match: { value: 0 } }] },
+      with_payload: { include: fields },
+      with_vector: false,
+    });
+    res.points.forEach((p) => out.push(p.payload));
+    offset = res.next_page_offset ?? undefined;
+  } while (offset !== undefined);
+  return out;
+}
+
+/**
+ * Merge fields into the payload of every chunk of an article, or of the given point IDs
+ */
+export async function setPayload(name, payload, { url, ids }) {
+  await qdrant().setPayload(name, {
+    wait: true,
+    payload,
+    ...(ids ? { points: ids } : { filter: { must: [{ key: "url", match: { value: url } }] } }),
+  });
+}
+
+/**
+ * Page through the articles in a collection, one entry per URL
+ * Every article has exactly one chunk 0, so scrolling over those gives each article once.
+ * `title` narrows the list with a full-text match on the title.
+ * Returns { articles, nextOffset } - pass nextOffset back as `offset` for the next page
+ */
+export async function scrollArticles(name, { limit = 20, offset, title } = {}) {
+  const must = [{ key: "chunk", match: { value: 0 } }];
+  if (title) must.push({ key: "title", match: { text: title } });
+  const res = await qdrant().scroll(name, {
+    limit,
+    offset,
+    filter: { must },
+    with_payload: { include: ARTICLE_FIELDS },
+    with_vector: false,
+  });
+  return { articles: res.points.map((p) => p.payload), nextOffset: res.next_page_offset ?? null };
+}
+
+/**
+ * Every chunk of one article, in chunk order (payloads only)
+ */
+export async function getArticleChunks(name, url) {
+  const out = [];
+  let offset = undefined;
+  do {
+    const res = await qdrant().scroll(name, {
+      limit: 256,
+      offset,
+      filter: { must: [{ key: "url", match: { value: url } }] },
+      with_payload: true,
+      with_vector: false,
+    });
+    res.points.forEach((p) => out.push({ id: p.id, ...p.payload }));
+    offset = res.next_page_offset ?? undefined;
+  } while (offset !== undefined);
+  return out.sort((a, b) => (a.chunk ?? 0) - (b.chunk ?? 0));
+}
+
+/**
+ * Number of chunks stored for an article (for points ingested before chunkCount was recorded)
+ */
+export async function countChunks(name, url) {
+  const res = await qdrant().count(name, { filter: { must: [{ key: "url", match: { value: url } }] }, exact: true });
+  return res.count;
+}
+
+/**
+ * Read every point's payload in a collection (no vectors)
+ * Used to rebuild the keyword index so it always matches what Qdrant holds
+ */
+export async function scrollAll(name) {
+  const out = [];
+  let offset = undefined;
+  do {
+    const res = await qdrant().scroll(name, { limit: 256, offset, with_payload: true, with_vector: false });
+    res.points.forEach((p) => out.push({ id: p.id, ...p.payload }));
+    offset = res.next_page_offset ?? undefined;
+  } while (offset !== undefined);
+  return out;
 }
 
 /**
@@ -52,9 +275,9 @@ export async function search(name, vector, k = 5) {
  */
 export async function deleteCollection(name) {
   try {
-    await qdrant.deleteCollection(name);
-    console.log(`Collection ${name} deleted successfully`);
+    await qdrant().deleteCollection(name);
+    log.info("Collection deleted", { collection: name });
   } catch (error) {
-    console.log(`Collection ${name} does not exist or could not be deleted:`, error.message);
+    log.warn("Collection does not exist or could not be deleted", { collection: name, error: error.message });
   }
 }
\ No newline at end of file
@@ -0,0 +1,123 @@
+// Backend-neutral parts of the vector store: filters and shared payload fields
+// Filters use Qdrant's JSON filter format (must / should / must_not with match, range and is_empty
+// conditions); the Qdrant backend passes them through and the local store evaluates them itself
+import { normalizeLanguage } from "../lang/language.js";
+
+// Payload fields shown when listing articles (chunk text is left out)
+export const ARTICLE_FIELDS = ["url", "title", "publisher", "source", "category", "language", "publishedAt", "ingestedAt", "chunkCount", "embedModel", "clusterId", "canonicalUrl"];
+
+/**
+ * Turn chat filters into a store filter
+ * filters: { from, to, sources, categories, languages, undatedByIngest } - dates are anything Date.parse accepts,
+ * sources match either the domain ("livemint.com") or the publisher name ("Mint"),
+ * languages are codes like "hi" or tags like "hi-IN".
+ * The date range matches the publish date; with undatedByIngest, articles without one are dated by ingest time
+ */
+export function buildFilter(filters = {}) {
+  const must = [];
+
+  const range = {};
+  if (filters.from) range.gte = Math.floor(Date.parse(filters.from) / 1000);
+  if (filters.to) range.lte = Math.floor(Date.parse(filters.to) / 1000);
+  if (Object.keys(range).length) must.push(filters.undatedByIngest ? datedIn(range) : { key: "publishedTs", range });
+
+  if (filters.sources?.length) {
+    const sources = filters.sources.map((s) => String(s).trim());
+    must.push({
+      should: [
+        { key: "source", match: { any: sources.map((s) => s.toLowerCase().replace(/^www\./, "")) } },
+        { key: "publisher", match: { any: sources } },
+      ],
+    });
+  }
+
+  if (filters.categories?.length) {
+    must.push({ key: "category", match: { any: filters.categories.map((c) => String(c).trim().toLowerCase()) } });
+  }
+
+  if (filters.languages?.length) {
+    must.push({ key: "language", match: { any: filters.languages.map(normalizeLanguage).filter(Boolean) } });
+  }
+
+  return must.length ? { must } : undefined;
+}
+
+/**
+ * Articles dated within a range: by publishedTs, or by ingestedTs when the publisher gave no date;
+ * points with neither (ingested before ingestedTs was stored) never match
+ */
+function datedIn(range) {
+  return {
+    should: [
+      { key: "publishedTs", range },
+      { must: [{ is_empty: { key: "publishedTs" } }, { key: "ingestedTs", range }] },
+    ],
+  };
+}
+
+/**
+ * Filter for articles dated before `olderThan` or since `since` (Unix seconds), see datedIn
+ */
+export function ageFilter({ olderThan, since }) {
+  return datedIn(olderThan != null ? { lt: olderThan } : { gte: since });
+}
+
+// Words of a full-text field, as Qdrant's default word tokenizer splits them
+const words = (s) => String(s ?? "").toLowerCase().split(/[^\p{L}\p{M}\p{N}]+/u).filter(Boolean);
+
+// Payload values as a list - a condition matches an array field if any element matches
+const valuesOf = (payload, key) => {
+  const v = payload[key];
+  if (v === undefined || v === null) return [];
+  return Array.isArray(v) ? v : [v];
+};
+
+/**
+ * Check one condition: a nested filter, has_id, is_empty / is_null, or a field with match / range
+ */
+function matchesCondition(point, cond) {
+  if (cond.must || cond.should || cond.must_not) return matchesFilter(point, cond);
+  if (cond.has_id) return cond.has_id.some((id) => String(id) === String(point.id));
+
+  const payload = point.payload || {};
+  if (cond.is_empty) return valuesOf(payload, cond.is_empty.key).length === 0;
+  if (cond.is_null) return payload[cond.is_null.key] === null;
+
+  const values = valuesOf(payload, cond.key);
+  if (cond.match) {
+    const { value, any, except, text } = cond.match;
+    if (value !== undefined) return values.some((v) => v === value);
+    if (any) return values.some((v) => any.includes(v));
+    if (except) return values.every((v) => !except.includes(v));
+    if (text !== undefined) {
+      const have = new Set(values.flatMap(words));
+      return words(text).every((w) => have.has(w));
+    }
+  }
+  if (cond.range) {
+    const { gt, gte, lt, lte } = cond.range;
+    return values.some(
+      (v) =>
+        typeof v === "number" &&
+        (gt == null || v > gt) &&
+        (gte == null || v >= gte) &&
+        (lt == null || v < lt) &&
+        (lte == null || v <= lte)
+    );
+  }
+  throw new Error(`Unsupported filter condition: ${JSON.stringify(cond)}`);
+}
+
+/**
+ * Evaluate a filter against a point { id, payload } the way Qdrant does:
+ * every `must`, at least one `should` (if any are given), no `must_not`
+ */
+export function matchesFilter(point, filter) {
+  if (!filter) return true;
+  const { must = [], should = [], must_not: mustNot = [] } = filter;
+  return (
+    must.every((c) => matchesCondition(point, c)) &&
+    (!should.length || should.some((c) => matchesCondition(point, c))) &&
+    !mustNot.some((c) => matchesCondition(point, c))
+  );
+}
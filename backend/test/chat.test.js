@@ -0,0 +1,98 @@
+// End-to-end chat: retrieval, the (mock) LLM, citation checks and session history, with no external services
+// Runs handleChat and streamChat against a small embedded vector store seeded with local embeddings
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "chat-test-"));
+process.env.LLM_PROVIDER = "mock";
+process.env.EMBED_PROVIDER = "local";
+process.env.VECTOR_STORE = "local";
+process.env.VECTOR_STORE_DIR = dir;
+process.env.QDRANT_COLLECTION = "chat-test";
+process.env.BM25_INDEX_FILE = path.join(dir, "bm25.json");
+process.env.REDIS_URL = "";
+process.env.RETRIEVAL_MODE = "vector";
+process.env.SIMILARITY_THRESHOLD = "0";
+process.env.RERANKER = "none";
+process.env.LLM_MOCK_SCRIPT = "";
+process.env.LOG_LEVEL ??= "error";
+
+const NOW = Math.floor(Date.now() / 1000);
+const ARTICLES = [
+  { url: "https://www.livemint.com/rbi", title: "RBI holds the repo rate", publisher: "Mint", text: "The Reserve Bank of India kept the repo rate unchanged at 5.5 percent on Friday." },
+  { url: "https://www.thehindu.com/monsoon", title: "Monsoon reaches Kerala", publisher: "The Hindu", text: "The southwest monsoon reached the Kerala coast two days ahead of schedule." },
+  { url: "https://www.espncricinfo.com/series", title: "India win the Test series", publisher: "ESPNcricinfo", text: "India beat England by seven wickets to win the Test series 3-1." },
+];
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const QUESTION = "What did the Reserve Bank do with the repo rate?";
+
+describe("chat end to end (mock LLM, local embeddings and vector store)", () => {
+  let rag;
+  let redis;
+
+  before(async () => {
+    const store = await import("../src/vecdb/index.js");
+    const { getEmbedding, getDimension, embeddingModelId } = await import("../src/embed/index.js");
+    await store.ensureCollection("chat-test", await getDimension());
+    const points = await Promise.all(ARTICLES.map(async (a, i) => ({
+      id: i + 1,
+      vector: await getEmbedding(a.text),
+      payload: { ...a, chunk: 0, chunkCount: 1, hash: `h${i}`, embedModel: embeddingModelId(), language: "en", publishedTs: NOW - 3600 * (i + 1), ingestedTs: NOW },
+    })));
+    await store.upsertPoints("chat-test", points);
+
+    rag = await import("../src/chat/rag.js");
+    redis = await import("../src/cache/redis.js");
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("answers with a cited source, a turn ID and token usage (handleChat)", async () => {
+    const sessionId = "chat-test-sync";
+    const result = await rag.handleChat({ sessionId, clientId: "test", message: QUESTION });
+
+    assert.match(result.reply, /\[1\]/);
+    assert.equal(result.citations.length, 1);
+    assert.equal(result.citations[0].n, 1);
+    assert.equal(result.citations[0].url, ARTICLES[0].url);
+    assert.equal(result.citations[0].title, ARTICLES[0].title);
+    assert.equal(result.verification.valid, true);
+    assert.match(result.turnId, UUID);
+    assert.ok(result.usage.promptTokens > 0);
+    assert.ok(result.usage.completionTokens > 0);
+    assert.deepEqual(result.llm, { provider: "mock", model: "scripted" });
+
+    // Both sides of the turn are in the session history, the answer under its turn ID
+    const history = await redis.getHistory(sessionId);
+    assert.deepEqual(history.map((m) => m.role), ["user", "assistant"]);
+    assert.equal(history[1].id, result.turnId);
+    assert.equal(history[1].citations[0].url, ARTICLES[0].url);
+  });
+
+  it("streams sources, then the reply, then the verified citations (streamChat)", async () => {
+    const sessionId = "chat-test-stream";
+    const events = [];
+    for await (const event of rag.streamChat({ sessionId, clientId: "test", message: QUESTION })) events.push(event);
+
+    const types = events.map((e) => e.type);
+    assert.equal(types[0], "citations");
+    assert.equal(types.at(-1), "done");
+    assert.ok(types.slice(1, -1).length > 1);
+    assert.ok(types.slice(1, -1).every((t) => t === "token"));
+    assert.equal(events[0].citations[0].url, ARTICLES[0].url);
+
+    const done = events.at(-1);
+    assert.equal(done.reply, events.slice(1, -1).map((e) => e.text).join(""));
+    assert.equal(done.citations.length, 1);
+    assert.equal(done.citations[0].url, ARTICLES[0].url);
+    assert.match(done.turnId, UUID);
+    assert.ok(done.usage.promptTokens > 0);
+    assert.ok(done.usage.completionTokens > 0);
+
+    const history = await redis.getHistory(sessionId);
+    assert.equal(history.at(-1).id, done.turnId);
+  });
+});
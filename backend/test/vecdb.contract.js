@@ -0,0 +1,262 @@
+// Contract tests for the vector store (src/vecdb/index.js): every backend must give the same results
+// The *.test.js files set VECTOR_STORE (and what that backend needs) before calling vectorStoreContract
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+const DIM = 4;
+const DAY = 24 * 60 * 60;
+const NOW = Math.floor(Date.parse("2025-09-15T12:00:00Z") / 1000);
+
+// Five articles; the Mint one has two chunks of the current version (hash "v2") and one stale chunk
+const article = (n, fields) => ({ url: `https://example.com/${n}`, chunkCount: 1, hash: "v1", embedModel: "test:contract", ...fields });
+const POINTS = [
+  {
+    id: 1,
+    vector: [1, 0, 0, 0],
+    payload: article("mint", { url: "https://www.livemint.com/rbi", title: "RBI holds interest rates steady", source: "livemint.com", publisher: "Mint", category: "business", language: "en", publishedTs: NOW - DAY, chunk: 0, chunkCount: 2, hash: "v2", text: "The RBI kept the repo rate unchanged." }),
+  },
+  {
+    id: 2,
+    vector: [0.9, 0.1, 0, 0],
+    payload: article("mint", { url: "https://www.livemint.com/rbi", title: "RBI holds interest rates steady", source: "livemint.com", publisher: "Mint", category: "business", language: "en", publishedTs: NOW - DAY, chunk: 1, chunkCount: 2, hash: "v2", text: "Markets had expected a pause." }),
+  },
+  {
+    id: 3,
+    vector: [0.8, 0.2, 0, 0],
+    payload: article("mint", { url: "https://www.livemint.com/rbi", title: "RBI holds interest rates steady", source: "livemint.com", publisher: "Mint", category: "business", language: "en", publishedTs: NOW - DAY, chunk: 2, hash: "v1", text: "An older paragraph." }),
+  },
+  {
+    id: 4,
+    vector: [0, 1, 0, 0],
+    payload: article("hindu", { title: "Bihar election results declared", source: "thehindu.com", publisher: "The Hindu", category: "politics", language: "en", publishedTs: NOW - 3 * DAY, chunk: 0, text: "Counting ended late on Sunday." }),
+  },
+  {
+    id: 5,
+    vector: [0, 0, 1, 0],
+    payload: article("bhaskar", { title: "बिहार चुनाव के नतीजे", source: "bhaskar.com", publisher: "Dainik Bhaskar", category: "politics", language: "hi", publishedTs: NOW - 10 * DAY, chunk: 0, text: "मतगणना पूरी हुई।" }),
+  },
+  {
+    id: 6,
+    vector: [0, 0, 0, 1],
+    payload: article("cricket", { title: "India win the cricket series", source: "espncricinfo.com", publisher: "ESPNcricinfo", category: "sports", language: "en", publishedTs: NOW - 2 * DAY, chunk: 0, text: "A clean sweep." }),
+  },
+  {
+    id: 7,
+    vector: [0, 0.5, 0.5, 0],
+    payload: article("undated", { title: "Monsoon rainfall update", source: "example.com", publisher: "Example News", category: "weather", language: "en", ingestedTs: NOW - DAY, chunk: 0, text: "Rain across the state." }),
+  },
+];
+
+const MINT = "https://www.livemint.com/rbi";
+const urlsOf = (results) => [...new Set(results.map((r) => r.url))].sort();
+
+/**
+ * Run the contract against the backend VECTOR_STORE selects
+ * skip: false, or the reason the backend can't be tested here (shown in the test report)
+ */
+export function vectorStoreContract({ skip = false } = {}) {
+  describe(`vector store contract (VECTOR_STORE=${process.env.VECTOR_STORE})`, { skip }, () => {
+    const collection = `contract-test-${process.pid}-${Date.now()}`;
+    let store;
+
+    // Every test starts from the same seven points
+    const reset = async () => {
+      await store.deleteCollection(collection);
+      await store.ensureCollection(collection, DIM);
+      await store.upsertPoints(collection, POINTS);
+    };
+
+    before(async () => {
+      store = await import("../src/vecdb/index.js");
+      await reset();
+    });
+
+    after(async () => {
+      await store?.deleteCollection(collection);
+    });
+
+    describe("ensureCollection", () => {
+      it("creates a collection with the given vector size", async () => {
+        const info = await store.getCollectionInfo(collection);
+        assert.equal(info.dim, DIM);
+        assert.equal(info.points, POINTS.length);
+        assert.equal(info.embedModel, "test:contract");
+      });
+
+      it("leaves an existing collection and its points alone", async () => {
+        await store.ensureCollection(collection, DIM);
+        assert.equal((await store.getCollectionInfo(collection)).points, POINTS.length);
+      });
+
+      it("reports a missing collection as null", async () => {
+        assert.equal(await store.getCollectionInfo(`${collection}-missing`), null);
+      });
+    });
+
+    describe("upsertPoints", () => {
+      before(reset);
+
+      it("overwrites points with the same ID", async () => {
+        await store.upsertPoints(collection, [{ ...POINTS[5], payload: { ...POINTS[5].payload, title: "India sweep the series" } }]);
+        const [point] = await store.getPoints(collection, [6]);
+        assert.equal(point.title, "India sweep the series");
+        assert.equal((await store.getCollectionInfo(collection)).points, POINTS.length);
+      });
+
+      it("leaves out unknown IDs when fetching points", async () => {
+        const points = await store.getPoints(collection, [1, 999]);
+        assert.deepEqual(points.map((p) => p.id), [1]);
+        assert.equal(points[0].url, MINT);
+      });
+    });
+
+    describe("search", () => {
+      before(reset);
+
+      it("returns the k nearest points, best first, with their payload", async () => {
+        const results = await store.search(collection, [1, 0.05, 0, 0], 3);
+        assert.deepEqual(results.map((r) => r.id), [1, 2, 3]);
+        assert.ok(results[0].score >= results[1].score && results[1].score >= results[2].score);
+        assert.ok(results[0].score > 0.99);
+        assert.equal(results[0].title, "RBI holds interest rates steady");
+        assert.equal(results[0].vector, undefined);
+      });
+
+      it("returns stored vectors when asked to", async () => {
+        const [top] = await store.search(collection, [0, 0, 0, 1], 1, undefined, { withVector: true });
+        assert.equal(top.id, 6);
+        assert.equal(top.vector.length, DIM);
+        assert.ok(Math.abs(top.vector[3] - 1) < 1e-6);
+      });
+
+      it("filters by source domain or publisher name", async () => {
+        assert.deepEqual(urlsOf(await store.search(collection, [0, 1, 0, 0], 10, { sources: ["thehindu.com"] })), ["https://example.com/hindu"]);
+        assert.deepEqual(urlsOf(await store.search(collection, [0, 1, 0, 0], 10, { sources: ["www.LiveMint.com"] })), [MINT]);
+        assert.deepEqual(urlsOf(await store.search(collection, [0, 1, 0, 0], 10, { sources: ["Dainik Bhaskar", "Mint"] })), ["https://example.com/bhaskar", MINT]);
+      });
+
+      it("filters by category and language", async () => {
+        assert.deepEqual(urlsOf(await store.search(collection, [1, 1, 1, 1], 10, { categories: ["Politics"] })), ["https://example.com/bhaskar", "https://example.com/hindu"]);
+        assert.deepEqual(urlsOf(await store.search(collection, [1, 1, 1, 1], 10, { languages: ["hi-IN"] })), ["https://example.com/bhaskar"]);
+        assert.deepEqual(urlsOf(await store.search(collection, [1, 1, 1, 1], 10, { categories: ["politics"], languages: ["en"] })), ["https://example.com/hindu"]);
+      });
+
+      it("filters by publish date, leaving out undated articles", async () => {
+        const from = new Date((NOW - 2 * DAY) * 1000).toISOString();
+        const to = new Date(NOW * 1000).toISOString();
+        assert.deepEqual(urlsOf(await store.search(collection, [1, 1, 1, 1], 10, { from, to })), ["https://example.com/cricket", MINT]);
+        assert.deepEqual(urlsOf(await store.search(collection, [1, 1, 1, 1], 10, { to: new Date((NOW - 5 * DAY) * 1000).toISOString() })), ["https://example.com/bhaskar"]);
+      });
+
+      it("dates undated articles by their ingest time when asked to", async () => {
+        const from = new Date((NOW - 2 * DAY) * 1000).toISOString();
+        const results = await store.search(collection, [1, 1, 1, 1], 10, { from, undatedByIngest: true });
+        assert.deepEqual(urlsOf(results), ["https://example.com/cricket", "https://example.com/undated", MINT]);
+      });
+
+      it("filters by age, dating undated articles by their ingest time", async () => {
+        const recent = await store.listUrls(collection, store.ageFilter({ since: NOW - 2 * DAY }));
+        assert.deepEqual(recent.sort(), ["https://example.com/cricket", "https://example.com/undated", MINT]);
+        const old = await store.listUrls(collection, store.ageFilter({ olderThan: NOW - 2 * DAY }));
+        assert.deepEqual(old.sort(), ["https://example.com/bhaskar", "https://example.com/hindu"]);
+      });
+
+      it("reads every matching point with its vector", async () => {
+        const chunks = await store.scrollWithVectors(collection, { sources: ["livemint.com"] });
+        assert.deepEqual(chunks.map((c) => c.id).sort(), [1, 2, 3]);
+        chunks.forEach((c) => assert.equal(c.vector.length, DIM));
+        assert.equal((await store.scrollWithVectors(collection, undefined, 2)).length, 2);
+      });
+    });
+
+    describe("deleteStaleChunks", () => {
+      before(reset);
+
+      it("removes the chunks of an article whose hash differs, and nothing else", async () => {
+        await store.deleteStaleChunks(collection, MINT, "v2");
+        const chunks = await store.getArticleChunks(collection, MINT);
+        assert.deepEqual(chunks.map((c) => c.chunk), [0, 1]);
+        assert.equal(await store.countChunks(collection, MINT), 2);
+        assert.equal((await store.getCollectionInfo(collection)).points, POINTS.length - 1);
+      });
+    });
+
+    describe("deleteByUrls", () => {
+      before(reset);
+
+      it("removes every chunk of the given articles", async () => {
+        await store.deleteByUrls(collection, [MINT, "https://example.com/hindu"]);
+        const urls = await store.listUrls(collection);
+        assert.deepEqual(urls.sort(), ["https://example.com/bhaskar", "https://example.com/cricket", "https://example.com/undated"]);
+        assert.equal(await store.countChunks(collection, MINT), 0);
+      });
+
+      it("does nothing for an empty list", async () => {
+        await store.deleteByUrls(collection, []);
+        assert.equal((await store.listUrls(collection)).length, 3);
+      });
+    });
+
+    describe("scrollArticles", () => {
+      before(reset);
+
+      it("pages through each article once", async () => {
+        const seen = [];
+        let offset;
+        let pages = 0;
+        do {
+          const page = await store.scrollArticles(collection, { limit: 2, offset });
+          assert.ok(page.articles.length <= 2);
+          seen.push(...page.articles.map((a) => a.url));
+          offset = page.nextOffset ?? undefined;
+          pages++;
+        } while (offset !== undefined && pages < 10);
+        assert.equal(pages, 3);
+        assert.deepEqual(seen.sort(), urlsOf(POINTS.map((p) => p.payload)));
+      });
+
+      it("returns article fields without the chunk text", async () => {
+        const { articles } = await store.scrollArticles(collection, { limit: 10, title: "cricket" });
+        assert.equal(articles.length, 1);
+        assert.equal(articles[0].publisher, "ESPNcricinfo");
+        assert.equal(articles[0].text, undefined);
+      });
+
+      it("matches title words regardless of case", async () => {
+        const { articles, nextOffset } = await store.scrollArticles(collection, { limit: 10, title: "Interest RATES" });
+        assert.deepEqual(articles.map((a) => a.url), [MINT]);
+        assert.equal(nextOffset, null);
+        assert.equal((await store.scrollArticles(collection, { title: "rates cricket" })).articles.length, 0);
+        assert.equal((await store.scrollArticles(collection, { title: "चुनाव" })).articles.length, 1);
+      });
+    });
+
+    describe("setPayload", () => {
+      before(reset);
+
+      it("merges fields into every chunk of an article", async () => {
+        await store.setPayload(collection, { clusterId: "c1", canonicalUrl: MINT }, { url: MINT });
+        const chunks = await store.getArticleChunks(collection, MINT);
+        assert.equal(chunks.length, 3);
+        chunks.forEach((c) => {
+          assert.equal(c.clusterId, "c1");
+          assert.equal(c.title, "RBI holds interest rates steady");
+        });
+        assert.equal((await store.getPoints(collection, [4]))[0].clusterId, undefined);
+      });
+
+      it("merges fields into the given points only", async () => {
+        await store.setPayload(collection, { category: "economy" }, { ids: [2] });
+        const points = await store.getPoints(collection, [1, 2]);
+        assert.deepEqual(points.map((p) => p.category).sort(), ["business", "economy"]);
+        assert.deepEqual(urlsOf(await store.search(collection, [1, 0, 0, 0], 10, { categories: ["economy"] })), [MINT]);
+      });
+
+      it("is visible in article listings", async () => {
+        const { articles } = await store.scrollArticles(collection, { limit: 10, title: "rbi" });
+        assert.equal(articles[0].clusterId, "c1");
+        assert.deepEqual(await store.listArticleFields(collection, ["url", "clusterId"]).then((a) => a.filter((x) => x.clusterId)), [{ url: MINT, clusterId: "c1" }]);
+      });
+    });
+  });
+}
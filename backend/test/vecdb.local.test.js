@@ -0,0 +1,80 @@
+// Vector store contract against the embedded store, in a throwaway directory
+// plus the local store's own locking between processes
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execFile, spawnSync } from "child_process";
+import { promisify } from "util";
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { vectorStoreContract } from "./vecdb.contract.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "vecdb-contract-"));
+process.env.VECTOR_STORE = "local";
+process.env.VECTOR_STORE_DIR = dir;
+process.env.VECTOR_STORE_FLUSH_MS = "20";
+process.env.VECTOR_STORE_LOCK_WAIT_MS = "1000";
+process.env.LOG_LEVEL ??= "error";
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+vectorStoreContract();
+
+describe("local store writers", () => {
+  const collection = `lock-test-${process.pid}`;
+  const lockFile = path.join(dir, `${collection}.json.lock`);
+  const point = (id) => ({ id, vector: [1, id, 0, 0], payload: { url: `https://example.com/${id}` } });
+  const settle = () => new Promise((r) => setTimeout(r, 100));
+  let store;
+
+  before(async () => {
+    store = await import("../src/vecdb/local.js");
+    await store.ensureCollection(collection, 4);
+    await settle();
+  });
+
+  it("waits for another process's writes instead of overwriting them", async () => {
+    // The child writes 20 points one by one while this process does the same with 20 others
+    const child = promisify(execFile)(
+      process.execPath,
+      [
+        "--input-type=module",
+        "-e",
+        `const store = await import(${JSON.stringify(path.resolve("src/vecdb/local.js"))});
+         for (let id = 100; id < 120; id++) {
+           await store.upsertPoints(${JSON.stringify(collection)}, [{ id, vector: [1, id, 0, 0], payload: {} }]);
+           await new Promise((r) => setTimeout(r, 5));
+         }`,
+      ],
+      { env: { ...process.env, VECTOR_STORE_LOCK_WAIT_MS: "30000" } }
+    );
+    for (let id = 200; id < 220; id++) {
+      await store.upsertPoints(collection, [point(id)]);
+      await new Promise((r) => setTimeout(r, 5));
+    }
+    await child;
+    await settle();
+
+    assert.equal((await store.getCollectionInfo(collection)).points, 40);
+    assert.equal(fs.existsSync(lockFile), false);
+  });
+
+  it("fails a write while a running process holds the lock", async () => {
+    fs.writeFileSync(lockFile, String(process.ppid));
+    try {
+      await assert.rejects(store.upsertPoints(collection, [point(300)]), /being written by another process/);
+    } finally {
+      fs.rmSync(lockFile, { force: true });
+    }
+    assert.equal((await store.getPoints(collection, [300])).length, 0);
+  });
+
+  it("takes over a lock left by a process that is gone", async () => {
+    const { pid } = spawnSync(process.execPath, ["-e", ""]);
+    fs.writeFileSync(lockFile, String(pid));
+    await store.upsertPoints(collection, [point(301)]);
+    await settle();
+    assert.equal((await store.getPoints(collection, [301])).length, 1);
+    assert.equal(fs.existsSync(lockFile), false);
+  });
+});
@@ -0,0 +1,25 @@
+// Vector store contract against Qdrant, in a temporary collection
+// Needs a running server at QDRANT_URL (e.g. docker run -p 6333:6333 qdrant/qdrant); skipped otherwise
+import { vectorStoreContract } from "./vecdb.contract.js";
+
+process.env.VECTOR_STORE = "qdrant";
+process.env.LOG_LEVEL ??= "error";
+
+/**
+ * Why the suite can't run here, or false if Qdrant answers
+ */
+async function unavailable() {
+  const url = process.env.QDRANT_URL;
+  if (!url) return "QDRANT_URL is not set";
+  try {
+    const res = await fetch(`${url.replace(/\/+$/, "")}/collections`, {
+      headers: process.env.QDRANT_API_KEY ? { "api-key": process.env.QDRANT_API_KEY } : {},
+      signal: AbortSignal.timeout(3000),
+    });
+    return res.ok ? false : `Qdrant at ${url} answered ${res.status}`;
+  } catch (e) {
+    return `Qdrant at ${url} is unreachable (${e.message})`;
+  }
+}
+
+vectorStoreContract({ skip: await unavailable() });